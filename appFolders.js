@@ -0,0 +1,342 @@
+// appFolders.js — GNOME 45+/48, ES Modules
+// Conversion between start menu categories and the app folders of the
+// overview app grid (org.gnome.desktop.app-folders). Shared by extension.js
+// and prefs.js, so it must only depend on Gio/GLib.
+
+import Gio from 'gi://Gio';
+
+// -------- Constants --------
+
+const APP_FOLDERS_SCHEMA = 'org.gnome.desktop.app-folders';
+const FOLDER_SCHEMA = 'org.gnome.desktop.app-folders.folder';
+const FOLDERS_PATH = '/org/gnome/desktop/app-folders/folders/';
+const FOLDER_ID_PREFIX = 'start-menu-';
+
+// -------- Settings --------
+
+/**
+ * Returns the settings listing the app folders.
+ * @returns {Gio.Settings} org.gnome.desktop.app-folders settings
+ */
+export function getAppFoldersSettings() {
+    return new Gio.Settings({ schema_id: APP_FOLDERS_SCHEMA });
+}
+
+/**
+ * Returns the settings of a single app folder.
+ * @param {string} folderId - Folder ID listed in folder-children
+ * @returns {Gio.Settings} Relocatable folder settings
+ */
+export function getFolderSettings(folderId) {
+    return new Gio.Settings({ schema_id: FOLDER_SCHEMA, path: `${FOLDERS_PATH}${folderId}/` });
+}
+
+/**
+ * Turns a folder name stored as a .directory file (translate = true) into a
+ * readable name, e.g. X-GNOME-Utilities.directory → Utilities.
+ * @param {string} name - Stored folder name
+ * @returns {string} Display name
+ */
+function getFolderDisplayName(name) {
+    return name.replace(/\.directory$/, '').replace(/^X-GNOME-/, '');
+}
+
+/**
+ * Reads every app folder of the overview app grid.
+ * @returns {Object[]} Folders with id, name, apps, categories and excludedApps
+ */
+export function readAppFolders() {
+    return getAppFoldersSettings().get_strv('folder-children').map(id => {
+        const folderSettings = getFolderSettings(id);
+        const name = folderSettings.get_string('name');
+
+        return {
+            id,
+            name: folderSettings.get_boolean('translate') ? getFolderDisplayName(name) : name,
+            apps: folderSettings.get_strv('apps'),
+            categories: folderSettings.get_strv('categories'),
+            excludedApps: folderSettings.get_strv('excluded-apps'),
+        };
+    }).filter(folder => folder.name.length > 0);
+}
+
+// -------- Conversion --------
+
+/**
+ * Returns the desktop file ID of a category app ID, which may lack the suffix.
+ * @param {string} appId - App ID
+ * @returns {string} Desktop file ID
+ */
+function toDesktopId(appId) {
+    return appId.endsWith('.desktop') ? appId : `${appId}.desktop`;
+}
+
+/**
+ * Tells whether an app is installed and shown.
+ * @param {string} desktopId - Desktop file ID
+ * @returns {boolean} True if installed
+ */
+function isInstalled(desktopId) {
+    return Gio.DesktopAppInfo.new(desktopId)?.should_show() ?? false;
+}
+
+/**
+ * Converts the Categories= list of a folder into smart category rules.
+ * @param {string[]} folderCategories - Freedesktop categories
+ * @returns {Object|undefined} Rules, or undefined for none
+ */
+function categoriesToRules(folderCategories) {
+    if (folderCategories.length === 0)
+        return undefined;
+
+    return {
+        match: 'any',
+        conditions: folderCategories.map(pattern => ({ field: 'categories', pattern })),
+    };
+}
+
+/**
+ * Converts smart category rules back into a folder's Categories= list. Only
+ * rules made of categories alone can be expressed by app folders.
+ * @param {Object|undefined} rules - Category rules
+ * @returns {string[]} Freedesktop categories, empty if not expressible
+ */
+function rulesToCategories(rules) {
+    const conditions = rules?.conditions ?? [];
+    if (conditions.length === 0 ||
+        (rules.match !== 'any' && conditions.length > 1) ||
+        conditions.some(condition => condition.field !== 'categories'))
+        return [];
+
+    return conditions.map(condition => condition.pattern);
+}
+
+/**
+ * Lists the desktop IDs of a category, its folders' apps included, in rank order.
+ * @param {Object} category - Category object
+ * @returns {string[]} Desktop IDs
+ */
+function getCategoryDesktopIds(category) {
+    return [
+        ...[...category.apps].sort((a, b) => a.rank - b.rank),
+        ...(category.folders ?? []).flatMap(folder => folder.apps),
+    ].map(app => toDesktopId(app.id));
+}
+
+/**
+ * Brings a category's apps in line with an app folder: apps still listed
+ * keep their rank and name, removed ones are dropped, new ones are appended.
+ * Apps filed in the category's own folders stay there.
+ * @param {Object} category - Category to update
+ * @param {Object} folder - App folder from readAppFolders()
+ */
+function applyFolderApps(category, folder) {
+    const folderIds = new Set(folder.apps);
+    const inSubFolders = new Set((category.folders ?? [])
+        .flatMap(subFolder => subFolder.apps.map(app => toDesktopId(app.id))));
+
+    (category.folders ?? []).forEach(subFolder => {
+        subFolder.apps = subFolder.apps.filter(app => folderIds.has(toDesktopId(app.id)));
+    });
+
+    const apps = category.apps
+        .filter(app => folderIds.has(toDesktopId(app.id)))
+        .sort((a, b) => a.rank - b.rank);
+    const knownIds = new Set([...apps.map(app => toDesktopId(app.id)), ...inSubFolders]);
+
+    folder.apps
+        .filter(desktopId => !knownIds.has(desktopId) && isInstalled(desktopId))
+        .forEach(desktopId => {
+            apps.push({ id: desktopId, name: Gio.DesktopAppInfo.new(desktopId).get_display_name() });
+        });
+
+    apps.forEach((app, index) => {
+        app.rank = index + 1;
+    });
+    category.apps = apps;
+}
+
+/**
+ * Imports app folders into the categories. Categories already linked to a
+ * folder follow it (name, apps, categories); a category with the folder's
+ * name gets linked and the folder's apps added; other folders become new
+ * categories. With removeMissing, linked categories whose folder is gone
+ * are deleted.
+ * @param {Map<string, Object>} categories - Categories keyed by name, updated in place
+ * @param {Object[]} folders - Folders from readAppFolders()
+ * @param {boolean} removeMissing - Delete categories whose folder was removed
+ * @returns {boolean} True if the categories changed
+ */
+export function importAppFolders(categories, folders, removeMissing = false) {
+    const before = JSON.stringify(Array.from(categories.entries()));
+    const entries = Array.from(categories.entries());
+    let maxRank = Math.max(0, ...entries.map(([, category]) => category.rank ?? 0));
+
+    folders.forEach(folder => {
+        let index = entries.findIndex(([, category]) => category.appFolder === folder.id);
+        const isLinked = index >= 0;
+
+        if (!isLinked)
+            index = entries.findIndex(([name, category]) => name === folder.name && category.rank !== null);
+
+        // A name taken by another category (built-in ones included) leaves the folder unlinked
+        if (folder.name !== entries[index]?.[0] && entries.some(([name]) => name === folder.name))
+            return;
+
+        const category = index >= 0
+            ? entries[index][1]
+            : { name: folder.name, rank: ++maxRank, apps: [] };
+
+        category.name = folder.name;
+        category.appFolder = folder.id;
+
+        if (isLinked || index < 0) {
+            applyFolderApps(category, folder);
+        } else {
+            // First link to an existing category: keep its apps and add the folder's
+            applyFolderApps(category, { ...folder, apps: [...getCategoryDesktopIds(category), ...folder.apps] });
+        }
+
+        const rules = categoriesToRules(folder.categories);
+        if (rules || rulesToCategories(category.rules).length > 0) {
+            category.rules = rules;
+            category.exclude = rules && folder.excludedApps.length > 0 ? folder.excludedApps : undefined;
+        }
+
+        if (index >= 0)
+            entries[index] = [category.name, category];
+        else
+            entries.push([category.name, category]);
+    });
+
+    const folderIds = new Set(folders.map(folder => folder.id));
+    const kept = entries.filter(([, category]) =>
+        !removeMissing || !category.appFolder || folderIds.has(category.appFolder)
+    );
+
+    categories.clear();
+    kept.forEach(([name, category]) => categories.set(name, category));
+
+    if (removeMissing) {
+        Array.from(categories.values())
+            .filter(category => category.rank !== null)
+            .sort((a, b) => a.rank - b.rank)
+            .forEach((category, index) => {
+                category.rank = index + 1;
+            });
+    }
+
+    return JSON.stringify(Array.from(categories.entries())) !== before;
+}
+
+/**
+ * Creates a folder ID for a category that isn't linked to a folder yet.
+ * @param {string} name - Category name
+ * @param {Set<string>} usedIds - IDs already taken
+ * @returns {string} Unique folder ID
+ */
+function createFolderId(name, usedIds) {
+    const base = `${FOLDER_ID_PREFIX}${name.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'folder'}`;
+
+    let id = base;
+    for (let i = 2; usedIds.has(id); i++)
+        id = `${base}-${i}`;
+
+    return id;
+}
+
+/**
+ * Lists the IDs of the app folders the categories are linked to.
+ * @param {Map<string, Object>} categories - Categories keyed by name
+ * @returns {Set<string>} Folder IDs
+ */
+export function getLinkedFolderIds(categories) {
+    return new Set(Array.from(categories.values())
+        .map(category => category.appFolder)
+        .filter(folderId => folderId));
+}
+
+/**
+ * Sets a string array key only if its value changed, so unchanged folders
+ * don't notify the app grid.
+ * @param {Gio.Settings} settings - Settings to update
+ * @param {string} key - Key name
+ * @param {string[]} value - New value
+ */
+function setStrvIfChanged(settings, key, value) {
+    if (JSON.stringify(settings.get_strv(key)) !== JSON.stringify(value))
+        settings.set_strv(key, value);
+}
+
+/**
+ * Exports the categories as app folders. Categories get linked to the folder
+ * they are written to. With removeMissing, folders no category is linked to
+ * anymore are deleted, but only those this extension created or that were
+ * linked before: folders the import left unlinked belong to the user.
+ * @param {Map<string, Object>} categories - Categories keyed by name; new links are stored in them
+ * @param {boolean} removeMissing - Delete folders whose category was removed
+ * @param {Set<string>} previousLinks - Folder IDs linked at the previous sync
+ * @returns {boolean} True if a category got linked to a new folder
+ */
+export function exportAppFolders(categories, removeMissing = false, previousLinks = new Set()) {
+    const appFoldersSettings = getAppFoldersSettings();
+    const folderIds = appFoldersSettings.get_strv('folder-children');
+    const usedIds = new Set(folderIds);
+    const linkedIds = new Set();
+    let linksChanged = false;
+
+    Array.from(categories.values())
+        .filter(category => category.rank !== null)
+        .sort((a, b) => a.rank - b.rank)
+        .forEach(category => {
+            if (!category.appFolder || !usedIds.has(category.appFolder)) {
+                category.appFolder = createFolderId(category.name, usedIds);
+                usedIds.add(category.appFolder);
+                linksChanged = true;
+            }
+
+            const folderSettings = getFolderSettings(category.appFolder);
+            const desktopIds = getCategoryDesktopIds(category);
+
+            // Keep apps the folder lists that aren't installed on this machine
+            const uninstalledIds = folderSettings.get_strv('apps')
+                .filter(desktopId => !desktopIds.includes(desktopId) && !isInstalled(desktopId));
+            const folderCategories = rulesToCategories(category.rules);
+
+            // Stock folders keep their translated name as long as the category's matches it
+            const folderName = folderSettings.get_string('name');
+            const isTranslatedName = folderSettings.get_boolean('translate') &&
+                getFolderDisplayName(folderName) === category.name;
+
+            if (!isTranslatedName) {
+                if (folderName !== category.name)
+                    folderSettings.set_string('name', category.name);
+                if (folderSettings.get_boolean('translate'))
+                    folderSettings.set_boolean('translate', false);
+            }
+            setStrvIfChanged(folderSettings, 'apps', [...desktopIds, ...uninstalledIds]);
+            setStrvIfChanged(folderSettings, 'categories', folderCategories);
+            setStrvIfChanged(folderSettings, 'excluded-apps',
+                folderCategories.length > 0 ? category.exclude ?? [] : []);
+
+            linkedIds.add(category.appFolder);
+        });
+
+    let children = [...folderIds, ...Array.from(linkedIds).filter(id => !folderIds.includes(id))];
+
+    if (removeMissing) {
+        const removedIds = new Set(children.filter(id =>
+            !linkedIds.has(id) && (id.startsWith(FOLDER_ID_PREFIX) || previousLinks.has(id))
+        ));
+
+        removedIds.forEach(id => {
+            const folderSettings = getFolderSettings(id);
+            folderSettings.settings_schema.list_keys().forEach(key => folderSettings.reset(key));
+        });
+        children = children.filter(id => !removedIds.has(id));
+    }
+
+    setStrvIfChanged(appFoldersSettings, 'folder-children', children);
+
+    return linksChanged;
+}
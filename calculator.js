@@ -0,0 +1,472 @@
+// calculator.js — GNOME 45+/48, ES Modules
+// Arithmetic and unit conversion for the popup search entry. Queries are
+// parsed with a small recursive descent parser, never evaluated as code.
+
+// -------- Constants --------
+
+const SIGNIFICANT_DIGITS = 10;
+
+// Function results this small relative to their argument are rounding noise,
+// e.g. sin(pi) = 1.22e-16, and are shown as 0
+const FUNCTION_NOISE = 1e-15;
+
+const FUNCTIONS = {
+    sqrt: Math.sqrt,
+    cbrt: Math.cbrt,
+    abs: Math.abs,
+    round: Math.round,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    exp: Math.exp,
+    ln: Math.log,
+    log: Math.log10,
+    log2: Math.log2,
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    asin: Math.asin,
+    acos: Math.acos,
+    atan: Math.atan,
+};
+
+const CONSTANTS = {
+    pi: Math.PI,
+    π: Math.PI,
+    e: Math.E,
+};
+
+const CONVERSION_KEYWORDS = ['in', 'to', 'as', '->'];
+
+/**
+ * Creates a unit converted by a factor to the base unit of its dimension.
+ * @param {string} dimension - Quantity measured, only units of the same one convert
+ * @param {number} factor - Value of the unit in the base unit
+ * @returns {Object} Unit with dimension, toBase and fromBase
+ */
+function linearUnit(dimension, factor) {
+    return {
+        dimension,
+        toBase: value => value * factor,
+        fromBase: value => value / factor,
+    };
+}
+
+const CELSIUS = {
+    dimension: 'temperature',
+    toBase: value => value + 273.15,
+    fromBase: value => value - 273.15,
+};
+const FAHRENHEIT = {
+    dimension: 'temperature',
+    toBase: value => (value - 32) * 5 / 9 + 273.15,
+    fromBase: value => (value - 273.15) * 9 / 5 + 32,
+};
+const KELVIN = linearUnit('temperature', 1);
+
+// Unit names, matched exactly first and then ignoring case
+const UNITS = {
+    // Length, in meters
+    nm: linearUnit('length', 1e-9),
+    µm: linearUnit('length', 1e-6),
+    um: linearUnit('length', 1e-6),
+    mm: linearUnit('length', 0.001),
+    cm: linearUnit('length', 0.01),
+    dm: linearUnit('length', 0.1),
+    m: linearUnit('length', 1),
+    km: linearUnit('length', 1000),
+    in: linearUnit('length', 0.0254),
+    inch: linearUnit('length', 0.0254),
+    inches: linearUnit('length', 0.0254),
+    ft: linearUnit('length', 0.3048),
+    foot: linearUnit('length', 0.3048),
+    feet: linearUnit('length', 0.3048),
+    yd: linearUnit('length', 0.9144),
+    yard: linearUnit('length', 0.9144),
+    yards: linearUnit('length', 0.9144),
+    mi: linearUnit('length', 1609.344),
+    mile: linearUnit('length', 1609.344),
+    miles: linearUnit('length', 1609.344),
+    nmi: linearUnit('length', 1852),
+
+    // Mass, in kilograms
+    mg: linearUnit('mass', 1e-6),
+    g: linearUnit('mass', 0.001),
+    kg: linearUnit('mass', 1),
+    t: linearUnit('mass', 1000),
+    tonne: linearUnit('mass', 1000),
+    tonnes: linearUnit('mass', 1000),
+    oz: linearUnit('mass', 0.028349523125),
+    lb: linearUnit('mass', 0.45359237),
+    lbs: linearUnit('mass', 0.45359237),
+    pound: linearUnit('mass', 0.45359237),
+    pounds: linearUnit('mass', 0.45359237),
+    st: linearUnit('mass', 6.35029318),
+    stone: linearUnit('mass', 6.35029318),
+
+    // Volume, in liters
+    ml: linearUnit('volume', 0.001),
+    cl: linearUnit('volume', 0.01),
+    dl: linearUnit('volume', 0.1),
+    l: linearUnit('volume', 1),
+    L: linearUnit('volume', 1),
+    tsp: linearUnit('volume', 0.00492892159375),
+    tbsp: linearUnit('volume', 0.01478676478125),
+    floz: linearUnit('volume', 0.0295735295625),
+    cup: linearUnit('volume', 0.2365882365),
+    cups: linearUnit('volume', 0.2365882365),
+    pt: linearUnit('volume', 0.473176473),
+    qt: linearUnit('volume', 0.946352946),
+    gal: linearUnit('volume', 3.785411784),
+
+    // Time, in seconds
+    ms: linearUnit('time', 0.001),
+    s: linearUnit('time', 1),
+    sec: linearUnit('time', 1),
+    min: linearUnit('time', 60),
+    h: linearUnit('time', 3600),
+    hr: linearUnit('time', 3600),
+    hour: linearUnit('time', 3600),
+    hours: linearUnit('time', 3600),
+    d: linearUnit('time', 86400),
+    day: linearUnit('time', 86400),
+    days: linearUnit('time', 86400),
+    wk: linearUnit('time', 604800),
+    week: linearUnit('time', 604800),
+    weeks: linearUnit('time', 604800),
+    yr: linearUnit('time', 31557600),
+    year: linearUnit('time', 31557600),
+    years: linearUnit('time', 31557600),
+
+    // Data, in bytes
+    bit: linearUnit('data', 0.125),
+    b: linearUnit('data', 0.125),
+    B: linearUnit('data', 1),
+    byte: linearUnit('data', 1),
+    bytes: linearUnit('data', 1),
+    KB: linearUnit('data', 1e3),
+    MB: linearUnit('data', 1e6),
+    GB: linearUnit('data', 1e9),
+    TB: linearUnit('data', 1e12),
+    KiB: linearUnit('data', 1024),
+    MiB: linearUnit('data', 1024 ** 2),
+    GiB: linearUnit('data', 1024 ** 3),
+    TiB: linearUnit('data', 1024 ** 4),
+
+    // Speed, in meters per second
+    mps: linearUnit('speed', 1),
+    kph: linearUnit('speed', 1 / 3.6),
+    kmh: linearUnit('speed', 1 / 3.6),
+    mph: linearUnit('speed', 0.44704),
+    kn: linearUnit('speed', 1852 / 3600),
+    knots: linearUnit('speed', 1852 / 3600),
+
+    // Temperature, in kelvin
+    C: CELSIUS,
+    '°C': CELSIUS,
+    celsius: CELSIUS,
+    F: FAHRENHEIT,
+    '°F': FAHRENHEIT,
+    fahrenheit: FAHRENHEIT,
+    K: KELVIN,
+    kelvin: KELVIN,
+};
+
+// Lower-case names that identify a single unit
+const UNITS_BY_LOWER_CASE = new Map();
+Object.keys(UNITS).forEach(name => {
+    const lowerName = name.toLowerCase();
+    const unit = UNITS_BY_LOWER_CASE.has(lowerName) && UNITS_BY_LOWER_CASE.get(lowerName) !== UNITS[name]
+        ? null
+        : UNITS[name];
+    UNITS_BY_LOWER_CASE.set(lowerName, unit);
+});
+
+// -------- Tokenizer --------
+
+const TOKEN_REGEX = /\s*(?:(\d*\.?\d+(?:[eE][-+]?\d+)?)|(->|[-+*/×÷^%(),])|([A-Za-zµ°π][A-Za-z0-9µ°]*))/y;
+
+/**
+ * Splits a query into number, operator and name tokens.
+ * @param {string} query - Search query
+ * @returns {Object[]|null} Tokens with type and value, or null if a character isn't understood
+ */
+function tokenize(query) {
+    const tokens = [];
+    const text = query.trim();
+    TOKEN_REGEX.lastIndex = 0;
+
+    while (TOKEN_REGEX.lastIndex < text.length) {
+        const match = TOKEN_REGEX.exec(text);
+        if (!match)
+            return null;
+
+        if (match[1] !== undefined)
+            tokens.push({ type: 'number', value: Number(match[1]) });
+        else if (match[2] !== undefined)
+            tokens.push({ type: 'operator', value: match[2] });
+        else
+            tokens.push({ type: 'name', value: match[3] });
+    }
+
+    return tokens;
+}
+
+/**
+ * Finds a unit by name.
+ * @param {string} name - Unit name
+ * @returns {Object|null} Unit, or null if unknown or ambiguous
+ */
+function findUnit(name) {
+    if (Object.hasOwn(UNITS, name))
+        return UNITS[name];
+
+    return UNITS_BY_LOWER_CASE.get(name.toLowerCase()) ?? null;
+}
+
+// -------- Parser --------
+
+/**
+ * Recursive descent parser evaluating an arithmetic expression while it
+ * reads it. Values are {value, percent}; a percentage added to or
+ * subtracted from a value is taken of that value (100 + 10% = 110,
+ * 100 + 10% + 5 = 115, 200 * 10% + 1 = 21, 50% - 10 = -9.5). A % followed
+ * by a number, a parenthesis, a constant or a function is the modulo
+ * operator (10 % 3 = 1).
+ */
+class ExpressionParser {
+    /**
+     * @param {Object[]} tokens - Tokens from tokenize()
+     */
+    constructor(tokens) {
+        this._tokens = tokens;
+        this._position = 0;
+        this.usesOperators = false;
+    }
+
+    /**
+     * Evaluates every token as one expression.
+     * @returns {number} Value of the expression
+     * @throws {Error} If the tokens aren't a valid expression
+     */
+    parse() {
+        const { value } = this._parseSum();
+        if (this._position < this._tokens.length)
+            throw new Error('Unexpected token');
+        return value;
+    }
+
+    _peek() {
+        return this._tokens[this._position];
+    }
+
+    _isOperator(value) {
+        const token = this._peek();
+        return token?.type === 'operator' && token.value === value;
+    }
+
+    _consumeOperator(value) {
+        if (!this._isOperator(value))
+            throw new Error(`Expected "${value}"`);
+        this._position++;
+    }
+
+    _startsModuloOperand(token) {
+        // Never a sign: in "10% + 5" the % is a percentage
+        return token?.type === 'number' ||
+            (token?.type === 'operator' && token.value === '(') ||
+            (token?.type === 'name' &&
+                (Object.hasOwn(FUNCTIONS, token.value) || Object.hasOwn(CONSTANTS, token.value)));
+    }
+
+    _parseSum() {
+        let left = this._parseProduct();
+
+        while (this._isOperator('+') || this._isOperator('-')) {
+            const sign = this._peek().value === '+' ? 1 : -1;
+            this._position++;
+            this.usesOperators = true;
+
+            const right = this._parseProduct();
+            const change = right.percent ? left.value * right.value : right.value;
+            left = { value: left.value + sign * change, percent: false };
+        }
+
+        return left;
+    }
+
+    _parseProduct() {
+        let left = this._parseUnary();
+
+        for (;;) {
+            const token = this._peek();
+            const isModulo = token?.type === 'operator' && token.value === '%' &&
+                this._startsModuloOperand(this._tokens[this._position + 1]);
+
+            if (!isModulo && !['*', '/', '×', '÷'].includes(token?.type === 'operator' ? token.value : null))
+                return left;
+
+            this._position++;
+            this.usesOperators = true;
+            const right = this._parseUnary();
+
+            if (isModulo)
+                left = { value: left.value % right.value, percent: false };
+            else if (token.value === '*' || token.value === '×')
+                left = { value: left.value * right.value, percent: false };
+            else
+                left = { value: left.value / right.value, percent: false };
+        }
+    }
+
+    _parseUnary() {
+        if (this._isOperator('-') || this._isOperator('+')) {
+            const sign = this._peek().value === '-' ? -1 : 1;
+            this._position++;
+            const operand = this._parseUnary();
+            return { value: sign * operand.value, percent: operand.percent };
+        }
+
+        return this._parsePower();
+    }
+
+    _parsePower() {
+        const base = this._parsePercent();
+        if (!this._isOperator('^'))
+            return base;
+
+        this._position++;
+        this.usesOperators = true;
+
+        // Right associative: 2^3^2 = 2^9
+        const exponent = this._parseUnary();
+        return { value: base.value ** exponent.value, percent: false };
+    }
+
+    _parsePercent() {
+        const operand = this._parsePrimary();
+
+        // A % followed by an operand is the modulo operator
+        if (this._isOperator('%') && !this._startsModuloOperand(this._tokens[this._position + 1])) {
+            this._position++;
+            this.usesOperators = true;
+            return { value: operand.value / 100, percent: true };
+        }
+
+        return operand;
+    }
+
+    _parsePrimary() {
+        const token = this._peek();
+        if (!token)
+            throw new Error('Unexpected end of expression');
+
+        if (token.type === 'number') {
+            this._position++;
+            return { value: token.value, percent: false };
+        }
+
+        if (this._isOperator('(')) {
+            this._position++;
+            const inner = this._parseSum();
+            this._consumeOperator(')');
+            return inner;
+        }
+
+        if (token.type === 'name' && Object.hasOwn(FUNCTIONS, token.value)) {
+            this._position++;
+            this.usesOperators = true;
+            this._consumeOperator('(');
+            const argument = this._parseSum();
+            this._consumeOperator(')');
+            const value = FUNCTIONS[token.value](argument.value);
+            const isNoise = Math.abs(value) < FUNCTION_NOISE * Math.max(1, Math.abs(argument.value));
+            return { value: isNoise ? 0 : value, percent: false };
+        }
+
+        if (token.type === 'name' && Object.hasOwn(CONSTANTS, token.value)) {
+            this._position++;
+            return { value: CONSTANTS[token.value], percent: false };
+        }
+
+        throw new Error(`Unexpected "${token.value}"`);
+    }
+}
+
+// -------- Evaluation --------
+
+/**
+ * Formats a result without floating point noise.
+ * @param {number} value - Result
+ * @returns {string} Formatted number
+ */
+function formatNumber(value) {
+    return String(Number(value.toPrecision(SIGNIFICANT_DIGITS)));
+}
+
+/**
+ * Evaluates tokens as one expression.
+ * @param {Object[]} tokens - Tokens from tokenize()
+ * @returns {{value: number, usesOperators: boolean}} Value and whether the
+ *   expression computes anything, as opposed to being a plain number
+ * @throws {Error} If the tokens aren't a valid expression
+ */
+function evaluateTokens(tokens) {
+    const parser = new ExpressionParser(tokens);
+    const value = parser.parse();
+    return { value, usesOperators: parser.usesOperators };
+}
+
+/**
+ * Converts a quantity written as "<expression> <unit> in <unit>".
+ * @param {Object[]} tokens - Tokens from tokenize()
+ * @returns {string|null} Converted quantity with its unit, or null if the
+ *   tokens aren't a conversion
+ */
+function evaluateConversion(tokens) {
+    // The last keyword is the separator, so "5 in in cm" converts inches
+    const keywordIndex = tokens.findLastIndex(token =>
+        CONVERSION_KEYWORDS.includes(token.value) && token.type !== 'number'
+    );
+    if (keywordIndex < 2 || keywordIndex !== tokens.length - 2)
+        return null;
+
+    const fromToken = tokens[keywordIndex - 1];
+    const toToken = tokens[keywordIndex + 1];
+    if (fromToken.type !== 'name' || toToken.type !== 'name')
+        return null;
+
+    const fromUnit = findUnit(fromToken.value);
+    const toUnit = findUnit(toToken.value);
+    if (!fromUnit || !toUnit || fromUnit.dimension !== toUnit.dimension)
+        return null;
+
+    const { value } = evaluateTokens(tokens.slice(0, keywordIndex - 1));
+    const converted = toUnit.fromBase(fromUnit.toBase(value));
+
+    return Number.isFinite(converted) ? `${formatNumber(converted)} ${toToken.value}` : null;
+}
+
+/**
+ * Evaluates a search query as arithmetic ("12*1.19", "sqrt(2)", "100 + 10%")
+ * or a unit conversion ("5 km in mi", "20 °C to F").
+ * @param {string} query - Search query
+ * @returns {string|null} Result, or null if the query isn't a calculation
+ *   (plain numbers, names and invalid expressions give null)
+ */
+export function evaluateQuery(query) {
+    const tokens = tokenize(query);
+    if (!tokens || tokens.length < 2)
+        return null;
+
+    try {
+        const conversion = evaluateConversion(tokens);
+        if (conversion !== null)
+            return conversion;
+
+        const { value, usesOperators } = evaluateTokens(tokens);
+        return usesOperators && Number.isFinite(value) ? formatNumber(value) : null;
+    } catch (e) {
+        // Not a calculation, e.g. an app name
+        return null;
+    }
+}
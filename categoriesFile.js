@@ -0,0 +1,253 @@
+// categoriesFile.js — GNOME 45+/48, ES Modules
+// Versioned format of categories.jsonl: a header line followed by one
+// category per line. Shared by extension.js and prefs.js, so it must only
+// depend on Gio/GLib.
+
+// -------- Constants --------
+
+const CATEGORIES_FORMAT = 'start-menu-categories';
+
+// Version 1 files have no header and may hold loosely typed lines
+const LEGACY_VERSION = 1;
+export const CATEGORIES_VERSION = 2;
+
+const RULE_MATCHES = ['all', 'any'];
+
+// Rank of migrated categories that had none, replaced once all lines are read
+const UNRANKED = Number.MAX_SAFE_INTEGER;
+
+// -------- Validation --------
+
+/**
+ * Checks an app entry of a category or folder.
+ * @param {*} app - Parsed app entry
+ * @param {string} where - Description of the entry for error messages
+ * @throws {Error} If the entry is invalid
+ */
+function validateApp(app, where) {
+    if (typeof app !== 'object' || app === null)
+        throw new Error(`${where} is not an object`);
+    if (typeof app.id !== 'string' || app.id.length === 0)
+        throw new Error(`${where} has no id`);
+    if (typeof app.name !== 'string')
+        throw new Error(`${where} (${app.id}) has no name`);
+    if (!Number.isFinite(app.rank))
+        throw new Error(`${where} (${app.id}) has no numeric rank`);
+}
+
+/**
+ * Checks an array of app entries.
+ * @param {*} apps - Parsed apps array
+ * @param {string} where - Description of the owner for error messages
+ * @throws {Error} If the array or one of its entries is invalid
+ */
+function validateApps(apps, where) {
+    if (!Array.isArray(apps))
+        throw new Error(`${where} has no apps list`);
+
+    apps.forEach((app, index) => validateApp(app, `${where}, app ${index + 1}`));
+}
+
+/**
+ * Checks the optional fields added by later features.
+ * @param {Object} category - Parsed category
+ * @throws {Error} If one of them is invalid
+ */
+function validateOptionalFields(category) {
+    if (category.icon !== undefined && typeof category.icon !== 'string')
+        throw new Error('"icon" must be a string');
+
+    if (category.appFolder !== undefined && typeof category.appFolder !== 'string')
+        throw new Error('"appFolder" must be a string');
+
+    if (category.rules !== undefined) {
+        const { match, conditions } = category.rules ?? {};
+        if (!RULE_MATCHES.includes(match) || !Array.isArray(conditions) ||
+            conditions.some(condition =>
+                typeof condition?.field !== 'string' || typeof condition?.pattern !== 'string'
+            ))
+            throw new Error('"rules" must have a match and field/pattern conditions');
+    }
+
+    if (category.exclude !== undefined &&
+        (!Array.isArray(category.exclude) || category.exclude.some(id => typeof id !== 'string')))
+        throw new Error('"exclude" must be a list of app ids');
+
+    if (category.folders !== undefined) {
+        if (!Array.isArray(category.folders))
+            throw new Error('"folders" must be a list');
+
+        category.folders.forEach((folder, index) => {
+            if (typeof folder?.name !== 'string' || folder.name.length === 0)
+                throw new Error(`folder ${index + 1} has no name`);
+            validateApps(folder.apps, `folder "${folder.name}"`);
+        });
+    }
+}
+
+/**
+ * Checks that a parsed value is a valid category.
+ * @param {*} category - Parsed category
+ * @returns {Object} The category
+ * @throws {Error} Describing the first problem found
+ */
+export function validateCategory(category) {
+    if (typeof category !== 'object' || category === null || Array.isArray(category))
+        throw new Error('not a category object');
+    if (typeof category.name !== 'string' || category.name.trim().length === 0)
+        throw new Error('category has no name');
+    if (category.rank !== null && !Number.isFinite(category.rank))
+        throw new Error(`category "${category.name}" has no numeric or null rank`);
+
+    validateApps(category.apps, `category "${category.name}"`);
+    validateOptionalFields(category);
+
+    return category;
+}
+
+// -------- Migration --------
+
+/**
+ * Converts a value to a finite number when possible.
+ * @param {*} value - Value to convert
+ * @returns {number|null} The number, or null
+ */
+function toNumber(value) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Upgrades a loosely typed version 1 app list: plain ID strings become
+ * entries, missing names fall back to the ID and missing ranks to the position.
+ * @param {*} apps - Parsed apps array
+ * @returns {*} Upgraded apps, or the value unchanged if it isn't an array
+ */
+function migrateLegacyApps(apps) {
+    if (!Array.isArray(apps))
+        return apps;
+
+    return apps
+        .map(app => (typeof app === 'string' ? { id: app } : app))
+        .filter(app => typeof app?.id === 'string' && app.id.length > 0)
+        .map((app, index) => ({
+            ...app,
+            name: typeof app.name === 'string' ? app.name : app.id,
+            rank: toNumber(app.rank) ?? index + 1,
+        }));
+}
+
+/**
+ * Upgrades a version 1 category: ranks stored as strings become numbers and
+ * a missing rank makes an app-less entry a built-in category.
+ * @param {*} category - Parsed category
+ * @returns {*} Upgraded category
+ */
+function migrateLegacyCategory(category) {
+    if (typeof category !== 'object' || category === null)
+        return category;
+
+    const apps = migrateLegacyApps(category.apps ?? []);
+    let rank = toNumber(category.rank);
+    if (rank === null && category.rank !== null && Array.isArray(apps) && apps.length > 0)
+        rank = UNRANKED;
+
+    return { ...category, rank, apps };
+}
+
+// -------- Parsing --------
+
+/**
+ * Reads the format header from the first line, if there is one.
+ * @param {string} line - First non-empty line
+ * @returns {Object|null} Header with version, or null for headerless files
+ */
+function parseHeader(line) {
+    try {
+        const header = JSON.parse(line);
+        return header?.format === CATEGORIES_FORMAT ? header : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Parses the contents of categories.jsonl. Invalid lines are skipped and
+ * reported instead of aborting the whole file, and older versions are
+ * migrated to the current one.
+ * @param {string} text - File contents
+ * @returns {{categories: Object[], errors: string[], migrated: boolean, newerVersion: boolean}}
+ *   Valid categories, one message per skipped line, whether the file should
+ *   be rewritten in the current version, and whether it was written by a
+ *   newer version (saving over it would drop what this version can't read)
+ */
+export function parseCategories(text) {
+    const lines = text.split('\n')
+        .map((line, index) => ({ line, number: index + 1 }))
+        .filter(({ line }) => line.trim().length > 0);
+    const errors = [];
+
+    const header = lines.length > 0 ? parseHeader(lines[0].line) : null;
+    if (header)
+        lines.shift();
+
+    const version = header ? toNumber(header.version) ?? LEGACY_VERSION : LEGACY_VERSION;
+    if (version > CATEGORIES_VERSION)
+        errors.push(`file version ${version} is newer than the supported version ${CATEGORIES_VERSION}`);
+
+    const categories = [];
+    const names = new Set();
+
+    lines.forEach(({ line, number }) => {
+        try {
+            let category;
+            try {
+                category = JSON.parse(line);
+            } catch (e) {
+                throw new Error('not valid JSON');
+            }
+
+            if (version < CATEGORIES_VERSION)
+                category = migrateLegacyCategory(category);
+
+            validateCategory(category);
+
+            if (names.has(category.name))
+                throw new Error(`duplicate category "${category.name}"`);
+
+            names.add(category.name);
+            categories.push(category);
+        } catch (e) {
+            errors.push(`line ${number}: ${e.message}`);
+        }
+    });
+
+    // Migrated categories without a rank go after the ranked ones
+    let maxRank = Math.max(0, ...categories
+        .map(category => category.rank)
+        .filter(rank => rank !== null && rank !== UNRANKED));
+    categories
+        .filter(category => category.rank === UNRANKED)
+        .forEach(category => {
+            category.rank = ++maxRank;
+        });
+
+    return {
+        categories,
+        errors,
+        migrated: lines.length > 0 && version < CATEGORIES_VERSION,
+        newerVersion: version > CATEGORIES_VERSION,
+    };
+}
+
+/**
+ * Serializes categories into the contents of categories.jsonl.
+ * @param {Iterable<Object>} categories - Categories to save
+ * @returns {string} File contents in the current version
+ */
+export function serializeCategories(categories) {
+    const header = JSON.stringify({ format: CATEGORIES_FORMAT, version: CATEGORIES_VERSION });
+    const lines = Array.from(categories).map(category => JSON.stringify(category));
+
+    return `${[header, ...lines].join('\n')}\n`;
+}
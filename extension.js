@@ -1,41 +1,141 @@
 // extension.js — GNOME 45+/48, ES Modules
 
 import { Extension } from 'resource:///org/gnome/shell/extensions/extension.js';
+import * as AppFavorites from 'resource:///org/gnome/shell/ui/appFavorites.js';
+import * as BoxPointer from 'resource:///org/gnome/shell/ui/boxpointer.js';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import * as OverviewControls from 'resource:///org/gnome/shell/ui/overviewControls.js';
 import * as PanelMenu from 'resource:///org/gnome/shell/ui/panelMenu.js';
 import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
+import * as RemoteSearch from 'resource:///org/gnome/shell/ui/remoteSearch.js';
+import * as UserWidget from 'resource:///org/gnome/shell/ui/userWidget.js';
+import * as SystemActions from 'resource:///org/gnome/shell/misc/systemActions.js';
 
+import AccountsService from 'gi://AccountsService';
 import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
 import GObject from 'gi://GObject';
 import St from 'gi://St';
 import Clutter from 'gi://Clutter';
+import Meta from 'gi://Meta';
 import Shell from 'gi://Shell';
 
+import {
+    clearSearchCache,
+    getFrecency,
+    getFrecencyBoost,
+    highlightMatches,
+    scoreApp
+} from './search.js';
+import { evaluateQuery } from './calculator.js';
+import { parseCategories, serializeCategories } from './categoriesFile.js';
+import {
+    exportAppFolders,
+    getAppFoldersSettings,
+    getFolderSettings,
+    getLinkedFolderIds,
+    importAppFolders,
+    readAppFolders
+} from './appFolders.js';
+import { clearRulesCache, evaluateRules, hasRules } from './rules.js';
+import {
+    ALLOWED_IMAGE_EXTENSIONS,
+    backupCategoriesFile,
+    ensureUserDataDir,
+    getDataPaths,
+    parseJsonLines,
+    writeFileAtomically
+} from './userData.js';
+
 // -------- Constants --------
 const ALL_APPS_CAT = 'All apps';
 const SEARCH_APP_CAT = 'Search app';
+const MOST_USED_CAT = 'Most used';
+const FAVORITES_CAT = 'Favorites';
+const BUILTIN_CATEGORIES = [ALL_APPS_CAT, SEARCH_APP_CAT, MOST_USED_CAT, FAVORITES_CAT];
 const RECENTS_CAT = 'Recent apps';
-const MAX_RECENTS = 15;
-const RELOAD_DELAY_MS = 500;
-const ALLOWED_IMAGE_EXTENSIONS = ['jpeg', 'jpg', 'png', 'bmp', 'webp', 'ico', 'svg'];
+const MAX_LAUNCH_SAMPLES = 10;
+const MAX_LAUNCH_HISTORY_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SOFTWARE_APP_ID = 'org.gnome.Software.desktop';
+const SEARCH_PROVIDERS_SCHEMA = 'org.gnome.desktop.search-providers';
+const MAX_PROVIDER_RESULTS = 3;
+const COMMAND_PREFIX_REGEX = /^[>!]\s*/;
+const MAX_COMMAND_HISTORY = 50;
+const MAX_COMMAND_COMPLETIONS = 15;
+const TERMINAL_SCHEMA = 'org.gnome.desktop.default-applications.terminal';
+const PROVIDER_SEARCH_DELAY_MS = 150;
+const SESSION_BUTTON_ICON_SIZE = 16;
+
+// Modes in which the shortcuts work: not on the lock screen or in dialogs
+const MENU_ACTION_MODES = Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW | Shell.ActionMode.POPUP;
+const USER_AVATAR_SIZE = 32;
+const SETTINGS_APP_ID = 'org.gnome.Settings.desktop';
+
+// Footer actions, keyed by their ID in the session-buttons setting
+const SESSION_ACTIONS = {
+    'lock': {
+        label: 'Lock',
+        icon: 'system-lock-screen-symbolic',
+        property: 'can-lock-screen',
+        activate: systemActions => systemActions.activateLockScreen(),
+    },
+    'logout': {
+        label: 'Log Out',
+        icon: 'system-log-out-symbolic',
+        property: 'can-logout',
+        activate: systemActions => systemActions.activateLogout(),
+    },
+    'suspend': {
+        label: 'Suspend',
+        icon: 'weather-clear-night-symbolic',
+        property: 'can-suspend',
+        activate: systemActions => systemActions.activateSuspend(),
+    },
+    'restart': {
+        label: 'Restart…',
+        icon: 'system-reboot-symbolic',
+        property: 'can-restart',
+        activate: systemActions => systemActions.activateRestart(),
+    },
+    'power-off': {
+        label: 'Power Off…',
+        icon: 'system-shutdown-symbolic',
+        property: 'can-power-off',
+        activate: systemActions => systemActions.activatePowerOff(),
+    },
+};
 
 // -------- Module State --------
-let basePath = null;
-let filesDir = null;
+let dataDir = null;
 let categoriesFilePath = null;
+let backupsDir = null;
 let recentsFilePath = null;
+let launchStatsFilePath = null;
+let commandHistoryFilePath = null;
 let iconDir = null;
+let bundledIconCategoriesDir = null;
 let iconCategoriesDir = null;
 let iconAppsDir = null;
 let pathCategoryGenericIcon = null;
 
+let settings = null;
+
+// Set while categories.jsonl was written by a newer version, which must not be overwritten
+let categoriesReadOnly = false;
+
 let categories = new Map();
 let allIconCategories = new Map();
+let bundledIconCategories = new Map();
 let allIconApps = new Map();
 let allApps = [];
+let ruleMatches = new Map();
 let recents = [];
+let launchStats = new Map();
+let commandHistory = [];
+let pathExecutables = null;
+
+let recentFilesCache = { mtime: -1, entries: [] };
 
 let myPopup = null;
 let monitors = [];
@@ -44,6 +144,20 @@ let signalConnections = [];
 let idleSourceIds = [];
 let enableGeneration = 0;
 
+let appFoldersSettings = null;
+let folderConnections = [];
+let appFoldersSyncTimeoutId = 0;
+// Folders linked at the last sync: only those are deleted with their category
+let syncedFolderIds = new Set();
+
+let searchProviders = [];
+let providerSearchTimeoutId = 0;
+let providerSearchCancellable = null;
+
+// The shell's own Super key handler, blocked while the Super key opens the menu
+let overlayKeyHandlerId = 0;
+let overlayKeyConnectionId = 0;
+
 // -------- Signal Management --------
 
 /**
@@ -70,6 +184,25 @@ function disconnectAllSignals() {
     signalConnections = [];
 }
 
+/**
+ * Disconnects the tracked signals of the given actor trees and objects,
+ * e.g. before the popup is destroyed and rebuilt.
+ * @param {Clutter.Actor[]} roots - Actors whose own and descendants' signals are disconnected
+ * @param {Object[]} others - Other objects whose signals are disconnected
+ */
+function disconnectSignalsOf(roots, others = []) {
+    signalConnections = signalConnections.filter(({ obj, id }) => {
+        const owned = others.includes(obj) ||
+            (obj instanceof Clutter.Actor && roots.some(root => root === obj || root.contains(obj)));
+        if (!owned)
+            return true;
+
+        if (!obj.is_finalized?.())
+            obj.disconnect(id);
+        return false;
+    });
+}
+
 /**
  * Adds an idle callback and tracks it for cleanup.
  * @param {number} priority - GLib source priority
@@ -138,10 +271,36 @@ function getAllIcons(folderPath) {
     }
 }
 
+/**
+ * Resolves the icon file for a category, preferring user icons over the
+ * defaults bundled with the extension.
+ * @param {string} categoryName - Category name
+ * @returns {string} Path to the icon file
+ */
+function getCategoryIconPath(categoryName) {
+    if (allIconCategories.has(categoryName)) {
+        return GLib.build_filenamev([
+            iconCategoriesDir,
+            `${categoryName}.${allIconCategories.get(categoryName)}`,
+        ]);
+    }
+
+    if (bundledIconCategories.has(categoryName)) {
+        return GLib.build_filenamev([
+            bundledIconCategoriesDir,
+            `${categoryName}.${bundledIconCategories.get(categoryName)}`,
+        ]);
+    }
+
+    return pathCategoryGenericIcon;
+}
+
 // -------- Category Management --------
 
 /**
- * Loads categories from the categories.jsonl file.
+ * Loads categories from the categories.jsonl file. Invalid lines are skipped
+ * and reported; files in an older format are rewritten in the current one.
+ * @param {Function|null} callback - Called once loading is done
  */
 function loadCategoriesFromDisk(callback = null) {
     try {
@@ -153,26 +312,144 @@ function loadCategoriesFromDisk(callback = null) {
                 if (!success)
                     return;
 
-                const text = new TextDecoder().decode(contents);
-                const lines = text.split('\n').filter(line => line.trim().length > 0);
+                const { categories: loaded, errors, migrated, newerVersion } =
+                    parseCategories(new TextDecoder().decode(contents));
 
                 categories.clear();
-                lines.forEach(line => {
-                    const category = JSON.parse(line);
-                    categories.set(category.name, category);
-                });
+                loaded.forEach(category => categories.set(category.name, category));
+                categoriesReadOnly = newerVersion;
+
+                if (newerVersion) {
+                    errors.forEach(error => log(`Start Menu: categories.jsonl ${error}`));
+                    Main.notifyError(
+                        'Start Menu',
+                        'categories.jsonl was saved by a newer version of the extension, ' +
+                            "so changes to the categories won't be saved"
+                    );
+                } else if (errors.length > 0) {
+                    // The next save drops the invalid lines, keep them restorable
+                    backupCategoriesFile({ categoriesFilePath, backupsDir }, true);
+                    errors.forEach(error => log(`Start Menu: categories.jsonl ${error}`));
+                    Main.notifyError(
+                        'Start Menu',
+                        `Skipped ${errors.length} invalid entries in categories.jsonl, ` +
+                            'see the system log for details (the file was backed up first)'
+                    );
+                } else if (migrated) {
+                    saveCategoriesToDisk();
+                }
             } catch (e) {
                 // First run or missing file - this is expected, not an error
+                if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND))
+                    logError(e, 'Failed to load categories.jsonl');
             } finally {
                 callback?.();
             }
         });
     } catch (e) {
-        // First run or missing file - this is expected, not an error
+        logError(e, 'Failed to load categories.jsonl');
         callback?.();
     }
 }
 
+/**
+ * Saves categories to the categories.jsonl file, backing up the previous one.
+ */
+function saveCategoriesToDisk() {
+    // Saving would downgrade the file and drop what this version can't read
+    if (categoriesReadOnly) {
+        log('Start Menu: categories.jsonl is from a newer version, not saved');
+        return;
+    }
+
+    try {
+        backupCategoriesFile({ categoriesFilePath, backupsDir });
+        writeFileAtomically(categoriesFilePath, serializeCategories(categories.values()));
+    } catch (e) {
+        logError(e, 'Failed to write categories.jsonl');
+        Main.notifyError('Start Menu', 'Could not save categories.jsonl');
+    }
+}
+
+/**
+ * Returns the normal (user defined) categories sorted by rank.
+ * @returns {Object[]} Category objects
+ */
+function getNormalCategories() {
+    return Array.from(categories.values())
+        .filter(category => !BUILTIN_CATEGORIES.includes(category.name))
+        .sort((a, b) => {
+            // Handle null ranks (though normal categories shouldn't have null)
+            if (a.rank === null) return 1;
+            if (b.rank === null) return -1;
+            return a.rank - b.rank;
+        });
+}
+
+/**
+ * Evaluates the rules of every smart category against the installed apps.
+ */
+function evaluateSmartCategories() {
+    ruleMatches = new Map();
+
+    categories.forEach(category => {
+        if (hasRules(category))
+            ruleMatches.set(category.name, evaluateRules(category.rules, allApps));
+    });
+}
+
+/**
+ * Strips the .desktop suffix so app IDs from different sources compare equal.
+ * @param {string} appId - App or desktop file ID
+ * @returns {string} App ID without suffix
+ */
+function normalizeAppId(appId) {
+    return appId.replace(/\.desktop$/, '');
+}
+
+/**
+ * Returns the apps of a category: its manually added apps in rank order,
+ * followed by the apps matching its rules that aren't excluded.
+ * @param {Object} category - Category object
+ * @returns {Object[]} App objects with id, name and rank
+ */
+function getCategoryApps(category) {
+    const apps = [...category.apps].sort((a, b) => a.rank - b.rank);
+    const knownIds = new Set(apps.map(app => normalizeAppId(app.id)));
+
+    // Apps filed in a folder are only listed inside it
+    (category.folders ?? []).forEach(folder => {
+        folder.apps.forEach(app => knownIds.add(normalizeAppId(app.id)));
+    });
+    const excludedIds = new Set((category.exclude ?? []).map(normalizeAppId));
+
+    (ruleMatches.get(category.name) ?? []).forEach(appInfo => {
+        const appId = normalizeAppId(appInfo.get_id());
+        if (knownIds.has(appId) || excludedIds.has(appId))
+            return;
+
+        knownIds.add(appId);
+        apps.push({ id: appInfo.get_id(), name: appInfo.get_display_name(), rank: apps.length + 1 });
+    });
+
+    return apps;
+}
+
+/**
+ * Tells whether an app is listed in a category, directly or in one of its folders.
+ * @param {Object} category - Category object
+ * @param {string} appId - App or desktop file ID
+ * @returns {boolean} True if the category lists the app
+ */
+function isAppInCategory(category, appId) {
+    const id = normalizeAppId(appId);
+
+    return getCategoryApps(category).some(app => normalizeAppId(app.id) === id) ||
+        (category.folders ?? []).some(folder =>
+            folder.apps.some(app => normalizeAppId(app.id) === id)
+        );
+}
+
 /**
  * Returns an array of standard application directories to monitor.
  * @returns {string[]} Array of directory paths
@@ -210,6 +487,17 @@ function showApplicationsOverview() {
 
 // -------- UI Item Creation --------
 
+/**
+ * Computes an icon size from a label's font size and a scale setting.
+ * @param {St.Label} label - Label the icon is displayed next to
+ * @param {string} scaleKey - Settings key holding the scale factor
+ * @returns {number} Icon size in pixels
+ */
+function getIconSizeForLabel(label, scaleKey) {
+    const fontSize = label.get_theme_node()?.get_length('font-size') || 24;
+    return Math.round(fontSize * settings.get_double(scaleKey));
+}
+
 /**
  * Creates an icon widget for menu items.
  * @param {number} iconSize - Size of the icon in pixels
@@ -245,30 +533,18 @@ function createCategoryItem(category) {
         style_class: 'category-name',
     });
 
-    const fontSize = label.get_theme_node()?.get_length('font-size') || 24;
-    const iconSize = Math.round(fontSize * 2);
-
-    const iconPath = allIconCategories.has(category.name)
-        ? GLib.build_filenamev([
-            iconCategoriesDir,
-            `${category.name}.${allIconCategories.get(category.name)}`,
-        ])
-        : pathCategoryGenericIcon;
+    const iconSize = getIconSizeForLabel(label, 'category-icon-scale');
 
-    const icon = createIconWidget(iconSize, iconPath);
+    // Custom icon files take precedence over a themed icon named in the category
+    const icon = !allIconCategories.has(category.name) && category.icon
+        ? createIconWidget(iconSize, null, Gio.ThemedIcon.new_with_default_fallbacks(category.icon))
+        : createIconWidget(iconSize, getCategoryIconPath(category.name));
 
     menuItem.insert_child_at_index(icon, 0);
     menuItem.insert_child_at_index(label, 1);
 
     connectAndTrack(menuItem, 'enter-event', () => {
-        myPopup.appsMenu?.destroy_all_children();
-
-        category.apps.forEach(app => {
-            const appMenuItem = createAppItem(app);
-            if (appMenuItem) {
-                myPopup.appsMenu.add_child(appMenuItem);
-            }
-        });
+        showCategoryApps(category);
 
         if (myPopup.focusedCategory && myPopup.focusedCategory !== menuItem)
             myPopup.focusedCategory.remove_style_class_name('selected-item');
@@ -282,13 +558,169 @@ function createCategoryItem(category) {
     return menuItem;
 }
 
+// -------- Folders --------
+
+/**
+ * Returns the installed apps of a folder in rank order.
+ * @param {Object} folder - Folder object with name and apps
+ * @returns {Object[]} App objects of installed apps
+ */
+function getFolderApps(folder) {
+    return [...folder.apps]
+        .sort((a, b) => a.rank - b.rank)
+        .filter(app => {
+            const desktopId = app.id.endsWith('.desktop') ? app.id : `${app.id}.desktop`;
+            return Gio.DesktopAppInfo.new(desktopId)?.should_show();
+        });
+}
+
+/**
+ * Fills the apps pane with the folders and apps of a category.
+ * @param {Object} category - Category object
+ * @returns {PopupMenu.PopupBaseMenuItem[]} Created folder items
+ */
+function showCategoryApps(category) {
+    myPopup.appsMenu?.destroy_all_children();
+
+    const folderItems = (category.folders ?? [])
+        .filter(folder => getFolderApps(folder).length > 0)
+        .map(folder => {
+            const folderItem = createFolderItem(category, folder);
+            myPopup.appsMenu.add_child(folderItem);
+            return folderItem;
+        });
+
+    getCategoryApps(category).forEach(app => {
+        const appMenuItem = createAppItem(app, category);
+        if (appMenuItem) {
+            myPopup.appsMenu.add_child(appMenuItem);
+        }
+    });
+
+    return folderItems;
+}
+
+/**
+ * Fills the apps pane with the apps of a folder, below a breadcrumb row
+ * leading back to its category.
+ * @param {Object} category - Category holding the folder
+ * @param {Object} folder - Folder object with name and apps
+ * @returns {PopupMenu.PopupBaseMenuItem[]} Created app items
+ */
+function showFolderApps(category, folder) {
+    myPopup.appsMenu?.destroy_all_children();
+    myPopup.appsMenu.add_child(createBreadcrumbItem(category, folder));
+
+    return getFolderApps(folder)
+        .map(app => createAppItem(app, category, folder))
+        .filter(appMenuItem => {
+            if (appMenuItem)
+                myPopup.appsMenu.add_child(appMenuItem);
+            return appMenuItem !== null;
+        });
+}
+
+/**
+ * Creates the item opening a folder of a category in the apps pane.
+ * @param {Object} category - Category holding the folder
+ * @param {Object} folder - Folder object with name and apps
+ * @returns {PopupMenu.PopupBaseMenuItem} The created menu item
+ */
+function createFolderItem(category, folder) {
+    const menuItem = new PopupMenu.PopupBaseMenuItem({
+        can_focus: true,
+        reactive: true,
+    });
+    menuItem.add_style_class_name('popup-menu-category');
+    menuItem._folderName = folder.name;
+
+    const label = new St.Label({
+        text: folder.name,
+        y_align: Clutter.ActorAlign.CENTER,
+        x_expand: true,
+    });
+    const iconSize = getIconSizeForLabel(label, 'app-icon-scale');
+
+    menuItem.add_child(createIconWidget(iconSize, null, Gio.ThemedIcon.new('folder')));
+    menuItem.add_child(label);
+    menuItem.add_child(new St.Icon({
+        icon_name: 'go-next-symbolic',
+        style_class: 'popup-menu-arrow',
+        y_align: Clutter.ActorAlign.CENTER,
+    }));
+
+    connectAndTrack(menuItem, 'activate', () => {
+        const appItems = showFolderApps(category, folder);
+        myPopup._focusAppItem(appItems[0] ?? myPopup.appsMenu.get_first_child());
+    });
+
+    return menuItem;
+}
+
+/**
+ * Creates the breadcrumb row shown above the apps of a folder. Activating it
+ * goes back to the category.
+ * @param {Object} category - Category holding the folder
+ * @param {Object} folder - Folder being shown
+ * @returns {PopupMenu.PopupBaseMenuItem} The created menu item
+ */
+function createBreadcrumbItem(category, folder) {
+    const menuItem = new PopupMenu.PopupBaseMenuItem({
+        can_focus: true,
+        reactive: true,
+    });
+    menuItem.add_style_class_name('popup-menu-breadcrumb');
+    menuItem._isBreadcrumb = true;
+
+    menuItem.add_child(new St.Icon({
+        icon_name: 'go-previous-symbolic',
+        style_class: 'popup-menu-icon',
+        y_align: Clutter.ActorAlign.CENTER,
+    }));
+    menuItem.add_child(new St.Label({
+        text: `${category.name}  ›  ${folder.name}`,
+        y_align: Clutter.ActorAlign.CENTER,
+    }));
+
+    connectAndTrack(menuItem, 'activate', () => {
+        const folderItems = showCategoryApps(category);
+        myPopup._focusAppItem(folderItems.find(item => item._folderName === folder.name) ?? null);
+    });
+
+    return menuItem;
+}
+
+/**
+ * Launches an application, activating its running instance if there is one,
+ * and records the launch in the recent apps.
+ * @param {Gio.AppInfo} appInfo - Application info object
+ */
+function launchApp(appInfo) {
+    const desktopId = appInfo.get_id?.() ?? '';
+    const shellApp = desktopId ? Shell.AppSystem.get_default().lookup_app(desktopId) : null;
+
+    if (desktopId)
+        bumpRecent(desktopId);
+
+    try {
+        if (shellApp)
+            shellApp.activate();
+        else
+            appInfo.launch([], null);
+    } catch (e) {
+        logError(e, `Failed to launch ${desktopId}`);
+        Main.notifyError('Start Menu', `Could not launch app: ${appInfo.get_display_name()}`);
+    }
+}
 
 /**
  * Creates a menu item for an application.
  * @param {Object} app - App object with id and name properties
+ * @param {Object|null} category - Category the item is listed in
+ * @param {Object|null} folder - Folder of the category the item is listed in
  * @returns {PopupMenu.PopupBaseMenuItem|null} The created menu item, or null if app doesn't exist
  */
-function createAppItem(app) {
+function createAppItem(app, category = null, folder = null) {
     const desktopId = app.id.endsWith('.desktop') ? app.id : `${app.id}.desktop`;
     const appInfo = Gio.DesktopAppInfo.new(desktopId);
 
@@ -306,8 +738,7 @@ function createAppItem(app) {
         text: app.name,
         y_align: Clutter.ActorAlign.CENTER,
     });
-    const fontSize = label.get_theme_node()?.get_length('font-size') || 24;
-    const iconSize = Math.round(fontSize * 1.8);
+    const iconSize = getIconSizeForLabel(label, 'app-icon-scale');
 
     const customIconPath = allIconApps.has(app.id)
         ? GLib.build_filenamev([iconAppsDir, `${app.id}.${allIconApps.get(app.id)}`])
@@ -320,31 +751,23 @@ function createAppItem(app) {
     menuItem.insert_child_at_index(label, 1);
 
     connectAndTrack(menuItem, 'activate', () => {
-        const appSystem = Shell.AppSystem.get_default();
-        const shellApp = appSystem.lookup_app(desktopId);
-
-        bumpRecent(desktopId);
-
-        if (shellApp) {
-            shellApp.activate();
-        } else if (appInfo) {
-            appInfo.launch([], null);
-        } else {
-            Main.notifyError('Start Menu', `Could not launch app: ${desktopId}`);
-        }
-
+        launchApp(appInfo);
         myPopup.menu.close();
     });
 
+    setupAppContextMenu(menuItem, appInfo, { category, folder });
+
     return menuItem;
 }
 
 /**
  * Creates a menu item for a searched application (from Gio.AppInfo).
  * @param {Gio.AppInfo} app - Application info object
+ * @param {number[]} highlightPositions - Indices of name characters matching the search query
+ * @param {Object} context - Where the item is listed, see setupAppContextMenu()
  * @returns {PopupMenu.PopupBaseMenuItem} The created menu item
  */
-function createSearchedAppItem(app) {
+function createSearchedAppItem(app, highlightPositions = [], context = {}) {
     const menuItem = new PopupMenu.PopupBaseMenuItem({
         can_focus: true,
         reactive: true,
@@ -355,8 +778,10 @@ function createSearchedAppItem(app) {
         text: app.get_display_name(),
         y_align: Clutter.ActorAlign.CENTER,
     });
-    const fontSize = label.get_theme_node()?.get_length('font-size') || 24;
-    const iconSize = Math.round(fontSize * 1.8);
+    if (highlightPositions.length > 0)
+        label.clutter_text.set_markup(highlightMatches(app.get_display_name(), highlightPositions));
+
+    const iconSize = getIconSizeForLabel(label, 'app-icon-scale');
 
     const icon = createIconWidget(iconSize, null, app.get_icon());
 
@@ -364,29 +789,21 @@ function createSearchedAppItem(app) {
     menuItem.insert_child_at_index(label, 1);
 
     connectAndTrack(menuItem, 'activate', () => {
-        const desktopId = app.get_id?.() ?? '';
-        const appSystem = Shell.AppSystem.get_default();
-        const shellApp = desktopId ? appSystem.lookup_app(desktopId) : null;
-
-        if (desktopId)
-            bumpRecent(desktopId);
-
-        if (shellApp) {
-            shellApp.activate();
-        } else {
-            app.launch([], null);
-        }
-
+        launchApp(app);
         myPopup.menu.close();
     });
 
+    setupAppContextMenu(menuItem, app, context);
+
     return menuItem;
 }
 
 // -------- Recent Apps Management --------
 
 /**
- * Loads recent apps from the recents.jsonl file.
+ * Loads recent apps from the recents.jsonl file, skipping lines that can't
+ * be read.
+ * @param {Function|null} callback - Called once loading is done
  */
 function loadRecentsFromDisk(callback = null) {
     try {
@@ -398,13 +815,9 @@ function loadRecentsFromDisk(callback = null) {
                 if (!success)
                     return;
 
-                const text = new TextDecoder().decode(contents);
-                const lines = text.split('\n').filter(line => line.trim().length > 0);
-
-                recents = lines
-                    .map(line => JSON.parse(line))
+                recents = parseJsonLines(new TextDecoder().decode(contents))
                     .filter(recent => recent && typeof recent.id === 'string')
-                    .slice(0, MAX_RECENTS);
+                    .slice(0, settings.get_int('max-recents'));
             } catch (e) {
                 recents = [];
             } finally {
@@ -423,7 +836,7 @@ function loadRecentsFromDisk(callback = null) {
 function saveRecentsToDisk() {
     try {
         const data = recents.map(recent => JSON.stringify(recent)).join('\n');
-        GLib.file_set_contents(recentsFilePath, data);
+        writeFileAtomically(recentsFilePath, data);
     } catch (e) {
         logError(e, 'Failed to write recents.jsonl');
         Main.notifyError('Start Menu', 'Could not save recents.jsonl');
@@ -431,22 +844,160 @@ function saveRecentsToDisk() {
 }
 
 /**
- * Adds or moves an app to the top of the recent list.
+ * Adds or moves an app to the top of the recent list and records the launch.
  * @param {string} desktopId - Desktop file ID
  */
 function bumpRecent(desktopId) {
     if (!desktopId || !desktopId.endsWith('.desktop'))
         return;
 
+    recordLaunch(desktopId);
+
     recents = recents.filter(recent => recent.id !== desktopId);
     recents.unshift({ id: desktopId, ts: Date.now() });
 
-    if (recents.length > MAX_RECENTS)
-        recents.length = MAX_RECENTS;
+    const maxRecents = settings.get_int('max-recents');
+    if (recents.length > maxRecents)
+        recents.length = maxRecents;
 
     saveRecentsToDisk();
 }
 
+// -------- Launch Statistics --------
+
+/**
+ * Loads per-app launch statistics from the launches.jsonl file, skipping
+ * lines that can't be read.
+ * @param {Function|null} callback - Called once loading is done
+ */
+function loadLaunchStatsFromDisk(callback = null) {
+    try {
+        const file = Gio.File.new_for_path(launchStatsFilePath);
+        file.load_contents_async(null, (source, result) => {
+            try {
+                const [success, contents] = source.load_contents_finish(result);
+
+                if (!success)
+                    return;
+
+                launchStats = new Map(parseJsonLines(new TextDecoder().decode(contents))
+                    .filter(stats => stats && typeof stats.id === 'string')
+                    .map(stats => [stats.id, stats]));
+            } catch (e) {
+                launchStats = new Map();
+            } finally {
+                callback?.();
+            }
+        });
+    } catch (e) {
+        launchStats = new Map();
+        callback?.();
+    }
+}
+
+/**
+ * Saves per-app launch statistics to disk.
+ */
+function saveLaunchStatsToDisk() {
+    try {
+        const data = Array.from(launchStats.values())
+            .map(stats => JSON.stringify(stats))
+            .join('\n');
+        writeFileAtomically(launchStatsFilePath, data);
+    } catch (e) {
+        logError(e, 'Failed to write launches.jsonl');
+        Main.notifyError('Start Menu', 'Could not save launches.jsonl');
+    }
+}
+
+/**
+ * Returns the number of the day a timestamp falls in.
+ * @param {number} ts - Timestamp in milliseconds
+ * @returns {number} Days since the epoch
+ */
+function getDayNumber(ts) {
+    return Math.floor(ts / DAY_MS);
+}
+
+/**
+ * Increments the launch count of an app, samples the launch time and
+ * counts it in the per-day launch history.
+ * @param {string} desktopId - Desktop file ID
+ */
+function recordLaunch(desktopId) {
+    const now = Date.now();
+    const today = getDayNumber(now);
+    const stats = launchStats.get(desktopId) ?? { id: desktopId, count: 0, launches: [] };
+
+    stats.count++;
+    stats.launches.unshift(now);
+    if (stats.launches.length > MAX_LAUNCH_SAMPLES)
+        stats.launches.length = MAX_LAUNCH_SAMPLES;
+
+    // Older entries only lack the per-day history
+    stats.days ??= {};
+    stats.days[today] = (stats.days[today] ?? 0) + 1;
+    Object.keys(stats.days)
+        .filter(day => Number(day) <= today - MAX_LAUNCH_HISTORY_DAYS)
+        .forEach(day => delete stats.days[day]);
+
+    launchStats.set(desktopId, stats);
+    saveLaunchStatsToDisk();
+}
+
+/**
+ * Computes the frecency of every launched app.
+ * @returns {Map<string, number>} Desktop ID to frecency
+ */
+function getFrecencies() {
+    const now = Date.now();
+    const frecencies = new Map();
+
+    launchStats.forEach((stats, desktopId) => {
+        frecencies.set(desktopId, getFrecency(stats, now));
+    });
+
+    return frecencies;
+}
+
+/**
+ * Counts the launches of an app within the last days.
+ * @param {Object} stats - Launch statistics of the app
+ * @param {number} firstDay - Number of the first day counted
+ * @returns {number} Launch count
+ */
+function countLaunchesSince(stats, firstDay) {
+    return Object.entries(stats.days ?? {})
+        .filter(([day]) => Number(day) >= firstDay)
+        .reduce((sum, [, count]) => sum + count, 0);
+}
+
+/**
+ * Gets AppInfo objects for the most launched apps within the configured window.
+ * @returns {Gio.AppInfo[]} Array of valid AppInfo objects, most launched first
+ */
+function getMostUsedAppInfos() {
+    const firstDay = getDayNumber(Date.now()) - settings.get_int('most-used-window-days') + 1;
+
+    return Array.from(launchStats.values())
+        .map(stats => ({ stats, count: countLaunchesSince(stats, firstDay) }))
+        .filter(({ count }) => count > 0)
+        .sort((a, b) => b.count - a.count || (b.stats.launches[0] ?? 0) - (a.stats.launches[0] ?? 0))
+        .map(({ stats }) => Gio.DesktopAppInfo.new(stats.id))
+        .filter(appInfo => appInfo !== null && appInfo.should_show())
+        .slice(0, settings.get_int('most-used-count'));
+}
+
+/**
+ * Gets AppInfo objects for the GNOME dash favorites.
+ * @returns {Gio.AppInfo[]} Array of valid AppInfo objects, in dash order
+ */
+function getFavoriteAppInfos() {
+    return AppFavorites.getAppFavorites().getFavorites()
+        .map(shellApp => shellApp.get_app_info())
+        .filter(appInfo => appInfo !== null && appInfo.should_show());
+}
+
 /**
  * Gets AppInfo objects for all valid recent apps.
  * @returns {Gio.AppInfo[]} Array of valid AppInfo objects
@@ -458,31 +1009,31 @@ function getRecentAppInfos() {
 }
 
 /**
- * Creates the recent apps category menu item.
+ * Creates a category menu item whose apps are computed when it is entered.
+ * @param {Object} options - Item options
+ * @param {string} options.name - Category label
+ * @param {string} options.tag - Tag identifying the item
+ * @param {Function} options.createIcon - Returns the icon widget for a given size
+ * @param {Function} options.getAppInfos - Returns the AppInfo objects to list
+ * @param {string} options.emptyText - Text shown when there is no app to list
+ * @param {Object} options.context - Context menu context of the listed apps
  * @returns {PopupMenu.PopupBaseMenuItem} The created menu item
  */
-function createRecentsCategoryItem() {
+function createAppListCategoryItem({ name, tag, createIcon, getAppInfos, emptyText, context = {} }) {
     const menuItem = new PopupMenu.PopupBaseMenuItem({
         can_focus: true,
         reactive: true,
     });
     menuItem.add_style_class_name('popup-menu-category');
-    menuItem._tag = 'recents';
+    menuItem._tag = tag;
 
     const label = new St.Label({
-        text: RECENTS_CAT,
+        text: name,
         y_align: Clutter.ActorAlign.CENTER,
         style_class: 'category-name',
     });
 
-    const fontSize = label.get_theme_node()?.get_length('font-size') || 24;
-    const iconSize = Math.round(fontSize * 2);
-
-    const icon = new St.Icon({
-        icon_name: 'document-open-recent-symbolic',
-        style_class: 'system-status-icon',
-        icon_size: iconSize,
-    });
+    const icon = createIcon(getIconSizeForLabel(label, 'category-icon-scale'));
 
     menuItem.insert_child_at_index(icon, 0);
     menuItem.insert_child_at_index(label, 1);
@@ -490,17 +1041,17 @@ function createRecentsCategoryItem() {
     connectAndTrack(menuItem, 'enter-event', () => {
         myPopup.appsMenu?.destroy_all_children();
 
-        const recentAppInfos = getRecentAppInfos();
+        const appInfos = getAppInfos();
 
-        if (recentAppInfos.length === 0) {
+        if (appInfos.length === 0) {
             const emptyLabel = new St.Label({
-                text: 'No recent apps yet',
+                text: emptyText,
                 y_align: Clutter.ActorAlign.CENTER,
             });
             myPopup.appsMenu.add_child(emptyLabel);
         } else {
-            recentAppInfos.forEach(appInfo => {
-                myPopup.appsMenu.add_child(createSearchedAppItem(appInfo));
+            appInfos.forEach(appInfo => {
+                myPopup.appsMenu.add_child(createSearchedAppItem(appInfo, [], context));
             });
         }
 
@@ -516,21 +1067,990 @@ function createRecentsCategoryItem() {
     return menuItem;
 }
 
-
-// -------- Main Popup Button --------
+/**
+ * Creates the recent apps category menu item.
+ * @returns {PopupMenu.PopupBaseMenuItem} The created menu item
+ */
+function createRecentsCategoryItem() {
+    return createAppListCategoryItem({
+        name: RECENTS_CAT,
+        tag: 'recents',
+        createIcon: iconSize => new St.Icon({
+            icon_name: 'document-open-recent-symbolic',
+            style_class: 'system-status-icon',
+            icon_size: iconSize,
+        }),
+        getAppInfos: getRecentAppInfos,
+        emptyText: 'No recent apps yet',
+        context: { fromRecents: true },
+    });
+}
 
 /**
- * Main popup button for the start menu.
+ * Creates the most used apps category menu item.
+ * @returns {PopupMenu.PopupBaseMenuItem} The created menu item
  */
-const MyPopup = GObject.registerClass(
-    class MyPopup extends PanelMenu.Button {
-        _init() {
-            super._init(2);
-            this.set_style('padding: 0; margin: 0;');
+function createMostUsedCategoryItem() {
+    return createAppListCategoryItem({
+        name: MOST_USED_CAT,
+        tag: 'most-used',
+        createIcon: iconSize => createIconWidget(iconSize, getCategoryIconPath(MOST_USED_CAT)),
+        getAppInfos: getMostUsedAppInfos,
+        emptyText: 'No launches in this period yet',
+    });
+}
 
-            const icon = new St.Icon({
-                gicon: Gio.icon_new_for_string(
-                    GLib.build_filenamev([iconDir, 'icon.svg'])
+
+// -------- Jump Lists --------
+
+/**
+ * Returns the path of the recently used files bookmark file.
+ * @returns {string} Path to recently-used.xbel
+ */
+function getRecentFilesPath() {
+    return GLib.build_filenamev([GLib.get_user_data_dir(), 'recently-used.xbel']);
+}
+
+/**
+ * Loads the recently used files, reparsing the bookmark file only when it changed.
+ * @returns {Object[]} Entries with uri, title, mimeType, applications and modified
+ */
+function loadRecentFiles() {
+    try {
+        const path = getRecentFilesPath();
+        const info = Gio.File.new_for_path(path).query_info(
+            'time::modified',
+            Gio.FileQueryInfoFlags.NONE,
+            null
+        );
+        const mtime = info.get_attribute_uint64('time::modified');
+
+        if (mtime === recentFilesCache.mtime)
+            return recentFilesCache.entries;
+
+        const bookmarks = new GLib.BookmarkFile();
+        bookmarks.load_from_file(path);
+
+        const entries = bookmarks.get_uris().map(uri => ({
+            uri,
+            title: bookmarks.get_title(uri) ?? Gio.File.new_for_uri(uri).get_basename(),
+            mimeType: bookmarks.get_mime_type(uri),
+            applications: new Set(bookmarks.get_applications(uri).map(name => name.toLowerCase())),
+            modified: bookmarks.get_modified_date_time(uri)?.to_unix() ?? 0,
+        }));
+
+        recentFilesCache = { mtime, entries };
+        return entries;
+    } catch (e) {
+        // No recently used files yet
+        recentFilesCache = { mtime: -1, entries: [] };
+        return [];
+    }
+}
+
+/**
+ * Returns the names an app may have registered its recent files under.
+ * @param {Gio.AppInfo} appInfo - Application info object
+ * @returns {Set<string>} Lowercase candidate names
+ */
+function getRegisteredAppNames(appInfo) {
+    const desktopId = (appInfo.get_id?.() ?? '').replace(/\.desktop$/, '');
+    const executable = appInfo.get_executable?.() ?? '';
+
+    return new Set([
+        appInfo.get_name(),
+        appInfo.get_display_name(),
+        desktopId,
+        desktopId.split('.').pop(),
+        executable ? GLib.path_get_basename(executable) : '',
+    ].filter(name => name).map(name => name.toLowerCase()));
+}
+
+/**
+ * Finds the files an app recently opened. Files registered under the app's
+ * name come first; remaining slots are filled with recent files of a MIME
+ * type the app supports.
+ * @param {Gio.AppInfo} appInfo - Application info object
+ * @param {number} limit - Maximum number of files
+ * @returns {Object[]} Recent file entries, most recently modified first
+ */
+function getRecentFilesForApp(appInfo, limit) {
+    if (limit <= 0)
+        return [];
+
+    const names = getRegisteredAppNames(appInfo);
+    const supportedTypes = new Set(appInfo.get_supported_types?.() ?? []);
+
+    const isAvailable = entry => {
+        const file = Gio.File.new_for_uri(entry.uri);
+        return !file.is_native() || file.query_exists(null);
+    };
+    const byModified = (a, b) => b.modified - a.modified;
+
+    const entries = loadRecentFiles();
+    const registered = entries
+        .filter(entry => Array.from(entry.applications).some(name => names.has(name)))
+        .sort(byModified);
+    const supported = entries
+        .filter(entry => !registered.includes(entry) && supportedTypes.has(entry.mimeType))
+        .sort(byModified);
+
+    // Checking a file blocks the main loop, so stop as soon as the list is full
+    const recentFiles = [];
+    for (const entry of [...registered, ...supported]) {
+        if (recentFiles.length >= limit)
+            break;
+        if (isAvailable(entry))
+            recentFiles.push(entry);
+    }
+
+    return recentFiles;
+}
+
+/**
+ * Opens a file with an app through the same launch path as app items.
+ * @param {Gio.AppInfo} appInfo - Application info object
+ * @param {string} uri - URI of the file to open
+ */
+function launchAppWithUri(appInfo, uri) {
+    try {
+        appInfo.launch([Gio.File.new_for_uri(uri)], global.create_app_launch_context(0, -1));
+        bumpRecent(appInfo.get_id?.() ?? '');
+    } catch (e) {
+        logError(e, `Failed to open ${uri}`);
+        Main.notifyError('Start Menu', `Could not open ${uri}`);
+    }
+}
+
+// -------- App Context Menu --------
+
+/**
+ * Opens the app's page in GNOME Software.
+ * @param {string} desktopId - Desktop file ID
+ */
+function showAppDetails(desktopId) {
+    const args = GLib.Variant.new('(ss)', [desktopId, '']);
+
+    Gio.DBus.get(Gio.BusType.SESSION, null, (_source, result) => {
+        try {
+            const bus = Gio.DBus.get_finish(result);
+            bus.call(
+                'org.gnome.Software',
+                '/org/gnome/Software',
+                'org.gtk.Actions',
+                'Activate',
+                GLib.Variant.new('(sava{sv})', ['details', [args], null]),
+                null,
+                Gio.DBusCallFlags.NONE,
+                -1,
+                null,
+                null
+            );
+        } catch (e) {
+            logError(e, `Failed to show details of ${desktopId}`);
+        }
+    });
+}
+
+/**
+ * Adds an app to a category and saves the categories.
+ * @param {Object} category - Category to add the app to
+ * @param {Gio.AppInfo} appInfo - App to add
+ */
+function addAppToCategory(category, appInfo) {
+    const maxRank = Math.max(0, ...category.apps.map(app => app.rank));
+
+    category.apps.push({
+        id: appInfo.get_id(),
+        name: appInfo.get_display_name(),
+        rank: maxRank + 1,
+    });
+    saveCategoriesToDisk();
+}
+
+/**
+ * Removes an app from a category, closes the rank gap and saves the categories.
+ * Apps added by the category's rules are excluded instead, and so are apps of
+ * generated categories, so generating them again doesn't bring the app back.
+ * @param {Object} category - Category to remove the app from
+ * @param {string} desktopId - Desktop file ID of the app
+ * @param {Object|null} folder - Folder of the category to remove the app from
+ */
+function removeAppFromCategory(category, desktopId, folder = null) {
+    const appId = normalizeAppId(desktopId);
+
+    if (folder) {
+        folder.apps = folder.apps
+            .filter(app => normalizeAppId(app.id) !== appId)
+            .sort((a, b) => a.rank - b.rank);
+        folder.apps.forEach((app, index) => {
+            app.rank = index + 1;
+        });
+        saveCategoriesToDisk();
+        return;
+    }
+
+    category.apps = category.apps
+        .filter(app => normalizeAppId(app.id) !== appId)
+        .sort((a, b) => a.rank - b.rank);
+    category.apps.forEach((app, index) => {
+        app.rank = index + 1;
+    });
+
+    const matchedByRules = (ruleMatches.get(category.name) ?? [])
+        .some(appInfo => normalizeAppId(appInfo.get_id()) === appId);
+    if (matchedByRules || category.autoCategory)
+        category.exclude = [...(category.exclude ?? []), desktopId];
+    if (matchedByRules) {
+        ruleMatches.set(category.name, ruleMatches.get(category.name)
+            .filter(appInfo => normalizeAppId(appInfo.get_id()) !== appId));
+    }
+
+    saveCategoriesToDisk();
+}
+
+/**
+ * Removes an app from the recent apps list.
+ * @param {string} desktopId - Desktop file ID
+ */
+function removeRecent(desktopId) {
+    recents = recents.filter(recent => recent.id !== desktopId);
+    saveRecentsToDisk();
+}
+
+/**
+ * Popup menu listing the actions available for an app item.
+ */
+class AppContextMenu extends PopupMenu.PopupMenu {
+    /**
+     * @param {PopupMenu.PopupBaseMenuItem} sourceItem - App item the menu is opened for
+     * @param {Gio.AppInfo} appInfo - App the item launches
+     * @param {Object} context - Where the item is listed
+     * @param {Object|null} context.category - Category listing the app, if any
+     * @param {boolean} context.fromRecents - Whether the item is listed in recent apps
+     */
+    constructor(sourceItem, appInfo, context) {
+        super(sourceItem, 0.5, St.Side.LEFT);
+
+        this._sourceItem = sourceItem;
+        this._appInfo = appInfo;
+        this._desktopId = appInfo.get_id?.() ?? '';
+        this._shellApp = this._desktopId
+            ? Shell.AppSystem.get_default().lookup_app(this._desktopId)
+            : null;
+
+        this.actor.add_style_class_name('app-menu');
+
+        this._addJumpList();
+        this._addDesktopActions();
+        this._addWindowItems();
+        this._addCategoryItems(context);
+        this._addDetailsItem();
+    }
+
+    _addSeparatorIfNeeded() {
+        if (!this.isEmpty())
+            this.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+    }
+
+    _launchAndClose(launch) {
+        launch();
+        bumpRecent(this._desktopId);
+        myPopup?.menu.close();
+    }
+
+    _addJumpList() {
+        const recentFiles = getRecentFilesForApp(this._appInfo, settings.get_int('jump-list-size'));
+        if (recentFiles.length === 0)
+            return;
+
+        const header = new PopupMenu.PopupMenuItem('Recent Files', {
+            reactive: false,
+            can_focus: false,
+        });
+        this.addMenuItem(header);
+
+        recentFiles.forEach(entry => {
+            const item = new PopupMenu.PopupImageMenuItem(
+                entry.title,
+                Gio.content_type_get_icon(entry.mimeType ?? 'application/octet-stream')
+            );
+            item.connect('activate', () => {
+                launchAppWithUri(this._appInfo, entry.uri);
+                myPopup?.menu.close();
+            });
+            this.addMenuItem(item);
+        });
+    }
+
+    _addDesktopActions() {
+        const actions = this._appInfo.list_actions?.() ?? [];
+        if (actions.length === 0)
+            return;
+
+        this._addSeparatorIfNeeded();
+        actions.forEach(action => {
+            this.addAction(this._appInfo.get_action_name(action), () => {
+                this._launchAndClose(() => {
+                    this._appInfo.launch_action(action, global.create_app_launch_context(0, -1));
+                });
+            });
+        });
+    }
+
+    _addWindowItems() {
+        if (!this._shellApp?.can_open_new_window())
+            return;
+
+        this._addSeparatorIfNeeded();
+        this.addAction('Open New Window', () => {
+            this._launchAndClose(() => this._shellApp.open_new_window(-1));
+        });
+    }
+
+    _addCategoryItems({ category = null, folder = null, fromRecents = false }) {
+        if (!this._desktopId)
+            return;
+
+        this._addSeparatorIfNeeded();
+
+        const appFavorites = AppFavorites.getAppFavorites();
+        if (global.settings.is_writable('favorite-apps') &&
+            !appFavorites.isFavorite(this._desktopId)) {
+            this.addAction('Add to Favorites', () => {
+                appFavorites.addFavorite(this._desktopId);
+            });
+        } else if (global.settings.is_writable('favorite-apps')) {
+            this.addAction('Remove from Favorites', () => {
+                appFavorites.removeFavorite(this._desktopId);
+            });
+        }
+
+        const targetCategories = getNormalCategories().filter(cat =>
+            cat !== category && !isAppInCategory(cat, this._desktopId)
+        );
+
+        if (targetCategories.length > 0) {
+            const subMenuItem = new PopupMenu.PopupSubMenuMenuItem('Add to Category…');
+            targetCategories.forEach(targetCategory => {
+                subMenuItem.menu.addAction(targetCategory.name, () => {
+                    addAppToCategory(targetCategory, this._appInfo);
+                });
+            });
+            this.addMenuItem(subMenuItem);
+        }
+
+        if (category && !BUILTIN_CATEGORIES.includes(category.name)) {
+            this.addAction(folder ? 'Remove from This Folder' : 'Remove from This Category', () => {
+                removeAppFromCategory(category, this._desktopId, folder);
+                myPopup?._removeAppItem(this._sourceItem);
+            });
+        }
+
+        if (fromRecents) {
+            this.addAction('Remove from Recents', () => {
+                removeRecent(this._desktopId);
+                myPopup?._removeAppItem(this._sourceItem);
+            });
+        }
+    }
+
+    _addDetailsItem() {
+        if (!this._desktopId || !Shell.AppSystem.get_default().lookup_app(SOFTWARE_APP_ID))
+            return;
+
+        this._addSeparatorIfNeeded();
+        this.addAction('Show Details', () => {
+            showAppDetails(this._desktopId);
+            myPopup?.menu.close();
+        });
+    }
+}
+
+/**
+ * Lets an app item open its context menu on secondary click. The Menu key is
+ * handled by the popup's keyboard navigation.
+ * @param {PopupMenu.PopupBaseMenuItem} menuItem - App item
+ * @param {Gio.AppInfo} appInfo - App the item launches
+ * @param {Object} context - Where the item is listed, see AppContextMenu
+ */
+function setupAppContextMenu(menuItem, appInfo, context) {
+    menuItem._openContextMenu = () => myPopup?._openAppContextMenu(menuItem, appInfo, context);
+
+    // Runs before the item's own handler, which would activate it
+    connectAndTrack(menuItem, 'button-release-event', (_actor, event) => {
+        if (event.get_button() !== Clutter.BUTTON_SECONDARY)
+            return Clutter.EVENT_PROPAGATE;
+
+        menuItem._openContextMenu();
+        return Clutter.EVENT_STOP;
+    });
+}
+
+/**
+ * Creates the favorites category menu item, mirroring the GNOME dash favorites.
+ * @returns {PopupMenu.PopupBaseMenuItem} The created menu item
+ */
+function createFavoritesCategoryItem() {
+    return createAppListCategoryItem({
+        name: FAVORITES_CAT,
+        tag: 'favorites',
+        createIcon: iconSize => createIconWidget(iconSize, getCategoryIconPath(FAVORITES_CAT)),
+        getAppInfos: getFavoriteAppInfos,
+        emptyText: 'No favorite apps yet',
+    });
+}
+
+// -------- Run Command --------
+
+/**
+ * Loads the commands run from the search entry, newest first.
+ * @param {Function|null} callback - Called once loading is done
+ */
+function loadCommandHistoryFromDisk(callback = null) {
+    try {
+        const file = Gio.File.new_for_path(commandHistoryFilePath);
+        file.load_contents_async(null, (source, result) => {
+            try {
+                const [, contents] = source.load_contents_finish(result);
+
+                commandHistory = parseJsonLines(new TextDecoder().decode(contents))
+                    .filter(entry => typeof entry?.command === 'string')
+                    .slice(0, MAX_COMMAND_HISTORY);
+            } catch (e) {
+                commandHistory = [];
+            } finally {
+                callback?.();
+            }
+        });
+    } catch (e) {
+        commandHistory = [];
+        callback?.();
+    }
+}
+
+/**
+ * Saves the command history to disk.
+ */
+function saveCommandHistoryToDisk() {
+    try {
+        const data = commandHistory.map(entry => JSON.stringify(entry)).join('\n');
+        writeFileAtomically(commandHistoryFilePath, data);
+    } catch (e) {
+        logError(e, 'Failed to write commands.jsonl');
+        Main.notifyError('Start Menu', 'Could not save commands.jsonl');
+    }
+}
+
+/**
+ * Lists the executables found in $PATH, read once per menu opening.
+ * @returns {string[]} Sorted executable names
+ */
+function getPathExecutables() {
+    if (pathExecutables)
+        return pathExecutables;
+
+    const names = new Set();
+    (GLib.getenv('PATH') ?? '').split(':').filter(dir => dir.length > 0).forEach(dir => {
+        try {
+            const enumerator = Gio.File.new_for_path(dir).enumerate_children(
+                'standard::name,access::can-execute',
+                Gio.FileQueryInfoFlags.NONE,
+                null
+            );
+
+            let fileInfo;
+            while ((fileInfo = enumerator.next_file(null)) !== null) {
+                if (fileInfo.get_attribute_boolean('access::can-execute'))
+                    names.add(fileInfo.get_name());
+            }
+
+            enumerator.close(null);
+        } catch (e) {
+            // Missing directory in $PATH
+        }
+    });
+
+    pathExecutables = Array.from(names).sort();
+    return pathExecutables;
+}
+
+/**
+ * Builds the command line running a command in the default terminal, like
+ * the shell's run dialog does.
+ * @param {string} command - Command to run
+ * @returns {string} Terminal command line
+ */
+function getTerminalCommandLine(command) {
+    let exec = 'gnome-terminal';
+    let execArg = '--';
+
+    if (Gio.SettingsSchemaSource.get_default().lookup(TERMINAL_SCHEMA, true)) {
+        const terminalSettings = new Gio.Settings({ schema_id: TERMINAL_SCHEMA });
+        exec = terminalSettings.get_string('exec') || exec;
+        execArg = terminalSettings.get_string('exec-arg');
+    }
+
+    return `${exec} ${execArg} ${command}`;
+}
+
+/**
+ * Runs a command line and moves it to the top of the command history.
+ * @param {string} command - Command line typed after the prefix
+ * @param {boolean} inTerminal - Run it in the default terminal
+ */
+function runCommand(command, inTerminal = false) {
+    const trimmedCommand = command.trim();
+    if (trimmedCommand.length === 0)
+        return;
+
+    // Like the shell's run dialog, ~ stands for the home directory
+    const commandLine = trimmedCommand.replace(/^~(?=\/|$)/, GLib.get_home_dir());
+
+    try {
+        GLib.spawn_command_line_async(inTerminal ? getTerminalCommandLine(commandLine) : commandLine);
+    } catch (e) {
+        Main.notifyError('Start Menu', `Could not run "${trimmedCommand}": ${e.message}`);
+        return;
+    }
+
+    commandHistory = commandHistory.filter(entry => entry.command !== trimmedCommand);
+    commandHistory.unshift({ command: trimmedCommand, ts: Date.now() });
+    if (commandHistory.length > MAX_COMMAND_HISTORY)
+        commandHistory.length = MAX_COMMAND_HISTORY;
+    saveCommandHistoryToDisk();
+}
+
+/**
+ * Creates a menu item running a command.
+ * @param {string} command - Command line
+ * @param {string} iconName - Themed icon telling where the command comes from
+ * @returns {PopupMenu.PopupBaseMenuItem} The created menu item
+ */
+function createCommandItem(command, iconName) {
+    const menuItem = new PopupMenu.PopupBaseMenuItem({
+        can_focus: true,
+        reactive: true,
+    });
+    menuItem.add_style_class_name('popup-menu-category');
+    menuItem._command = command;
+
+    const label = new St.Label({
+        text: command,
+        y_align: Clutter.ActorAlign.CENTER,
+    });
+    const icon = new St.Icon({
+        icon_name: iconName,
+        icon_size: getIconSizeForLabel(label, 'app-icon-scale'),
+    });
+
+    menuItem.insert_child_at_index(icon, 0);
+    menuItem.insert_child_at_index(label, 1);
+
+    connectAndTrack(menuItem, 'activate', () => {
+        runCommand(command);
+        myPopup.menu.close();
+    });
+
+    return menuItem;
+}
+
+/**
+ * Fills the apps pane for a query in command mode: the typed command first,
+ * then matching history entries and, while the program name is typed,
+ * executables from $PATH completing it.
+ * @param {string} command - Text typed after the prefix
+ */
+function showCommandResults(command) {
+    const commands = new Set();
+    const addItem = (itemCommand, iconName) => {
+        if (commands.has(itemCommand))
+            return;
+
+        commands.add(itemCommand);
+        myPopup.appsMenu.add_child(createCommandItem(itemCommand, iconName));
+    };
+
+    if (command.length > 0)
+        addItem(command, 'system-run-symbolic');
+
+    commandHistory
+        .filter(entry => entry.command.startsWith(command))
+        .forEach(entry => addItem(entry.command, 'document-open-recent-symbolic'));
+
+    if (command.length > 0 && !/\s/.test(command)) {
+        getPathExecutables()
+            .filter(name => name.startsWith(command))
+            .slice(0, MAX_COMMAND_COMPLETIONS)
+            .forEach(name => addItem(name, 'utilities-terminal-symbolic'));
+    }
+
+    if (commands.size === 0) {
+        myPopup.appsMenu.add_child(new St.Label({
+            text: 'Type a command to run, Ctrl+Enter runs it in a terminal',
+            y_align: Clutter.ActorAlign.CENTER,
+        }));
+    }
+}
+
+// -------- Calculator --------
+
+/**
+ * Creates the menu item showing the result of a calculation typed as the
+ * search query. Activating it copies the result to the clipboard.
+ * @param {string} result - Result from evaluateQuery()
+ * @returns {PopupMenu.PopupBaseMenuItem} The created menu item
+ */
+function createCalculatorItem(result) {
+    const menuItem = new PopupMenu.PopupBaseMenuItem({
+        can_focus: true,
+        reactive: true,
+    });
+    menuItem.add_style_class_name('popup-menu-category');
+    menuItem.add_style_class_name('popup-menu-calculator');
+
+    const label = new St.Label({
+        text: `= ${result}`,
+        y_align: Clutter.ActorAlign.CENTER,
+    });
+    const iconSize = getIconSizeForLabel(label, 'app-icon-scale');
+    const icon = new St.Icon({
+        icon_name: 'accessories-calculator-symbolic',
+        icon_size: iconSize,
+    });
+
+    menuItem.insert_child_at_index(icon, 0);
+    menuItem.insert_child_at_index(label, 1);
+    menuItem.add_child(new St.Label({
+        text: 'Enter to copy',
+        y_align: Clutter.ActorAlign.CENTER,
+        style_class: 'popup-menu-provider-description',
+    }));
+
+    connectAndTrack(menuItem, 'activate', () => {
+        St.Clipboard.get_default().set_text(St.ClipboardType.CLIPBOARD, result);
+        myPopup.menu.close();
+    });
+
+    return menuItem;
+}
+
+// -------- Search Providers --------
+
+/**
+ * Loads the search providers the overview queries, in its order, if
+ * provider results are enabled.
+ */
+function reloadSearchProviders() {
+    searchProviders = [];
+
+    if (!settings.get_boolean('search-providers'))
+        return;
+
+    try {
+        searchProviders = RemoteSearch.loadRemoteSearchProviders(
+            new Gio.Settings({ schema_id: SEARCH_PROVIDERS_SCHEMA })
+        );
+    } catch (e) {
+        logError(e, 'Failed to load search providers');
+    }
+}
+
+/**
+ * Cancels the pending and running provider searches.
+ */
+function cancelProviderSearch() {
+    if (providerSearchTimeoutId) {
+        GLib.source_remove(providerSearchTimeoutId);
+        providerSearchTimeoutId = 0;
+    }
+
+    providerSearchCancellable?.cancel();
+    providerSearchCancellable = null;
+}
+
+/**
+ * Creates a menu item for a search provider result.
+ * @param {Object} provider - Remote search provider
+ * @param {Object} meta - Result meta with id, name, description and createIcon
+ * @param {string[]} terms - Search terms
+ * @returns {PopupMenu.PopupBaseMenuItem} The created menu item
+ */
+function createProviderResultItem(provider, meta, terms) {
+    const menuItem = new PopupMenu.PopupBaseMenuItem({
+        can_focus: true,
+        reactive: true,
+    });
+    menuItem.add_style_class_name('popup-menu-category');
+
+    const label = new St.Label({
+        text: meta.name,
+        y_align: Clutter.ActorAlign.CENTER,
+    });
+    const iconSize = getIconSizeForLabel(label, 'app-icon-scale');
+    const icon = meta.createIcon?.(iconSize) ?? createIconWidget(iconSize, null, provider.appInfo.get_icon());
+
+    menuItem.insert_child_at_index(icon, 0);
+    menuItem.insert_child_at_index(label, 1);
+
+    if (meta.description) {
+        menuItem.add_child(new St.Label({
+            text: meta.description.split('\n')[0],
+            y_align: Clutter.ActorAlign.CENTER,
+            style_class: 'popup-menu-provider-description',
+        }));
+    }
+
+    connectAndTrack(menuItem, 'activate', () => {
+        provider.activateResult(meta.id, terms);
+        myPopup.menu.close();
+    });
+
+    return menuItem;
+}
+
+/**
+ * Queries one provider for its first results.
+ * @param {Object} provider - Remote search provider
+ * @param {string[]} terms - Search terms
+ * @param {Gio.Cancellable} cancellable - Cancels the query
+ * @returns {Promise<Object[]>} Result metas, empty on failure
+ */
+async function searchProvider(provider, terms, cancellable) {
+    try {
+        const ids = await provider.getInitialResultSet(terms, cancellable);
+        if (ids.length === 0)
+            return [];
+
+        return await provider.getResultMetas(ids.slice(0, MAX_PROVIDER_RESULTS), cancellable);
+    } catch (e) {
+        if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED))
+            logError(e, `Search provider ${provider.id} failed`);
+        return [];
+    }
+}
+
+/**
+ * Searches the providers once typing pauses and adds their results, grouped
+ * by provider, under the apps matching the query.
+ * @param {string} query - Search query
+ */
+function showProviderResults(query) {
+    cancelProviderSearch();
+
+    const terms = query.split(/\s+/).filter(term => term.length > 0);
+    if (terms.length === 0 || searchProviders.length === 0)
+        return;
+
+    const cancellable = new Gio.Cancellable();
+    providerSearchCancellable = cancellable;
+
+    providerSearchTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, PROVIDER_SEARCH_DELAY_MS, () => {
+        providerSearchTimeoutId = 0;
+
+        Promise.all(searchProviders.map(provider => searchProvider(provider, terms, cancellable)))
+            .then(results => {
+                if (cancellable.is_cancelled() || !myPopup)
+                    return;
+
+                // Groups keep the overview's provider order whatever order they answer in
+                results.forEach((metas, index) => {
+                    if (metas.length === 0)
+                        return;
+
+                    const provider = searchProviders[index];
+                    myPopup.appsMenu.add_child(new St.Label({
+                        text: provider.appInfo?.get_name() ?? provider.id,
+                        style_class: 'popup-menu-provider-header',
+                    }));
+                    metas.forEach(meta => {
+                        myPopup.appsMenu.add_child(createProviderResultItem(provider, meta, terms));
+                    });
+                });
+            })
+            .catch(e => logError(e, 'Failed to show search provider results'));
+
+        return GLib.SOURCE_REMOVE;
+    });
+}
+
+// -------- Session Actions --------
+
+/**
+ * Creates the footer button of a session action. The button is only shown
+ * while the action is available (lockdown settings, polkit policy...).
+ * @param {Object} action - Entry of SESSION_ACTIONS
+ * @returns {St.Button} The created button
+ */
+function createSessionButton(action) {
+    const systemActions = SystemActions.getDefault();
+
+    const button = new St.Button({
+        style_class: 'popup-menu-footer-button',
+        reactive: true,
+        can_focus: true,
+        accessible_name: action.label,
+        child: new St.Icon({
+            icon_name: action.icon,
+            icon_size: SESSION_BUTTON_ICON_SIZE,
+        }),
+    });
+    const binding = systemActions.bind_property(action.property, button, 'visible',
+        GObject.BindingFlags.SYNC_CREATE);
+    button.connect('destroy', () => binding.unbind());
+
+    // Logout, restart and power off ask for confirmation in the shell's own dialog
+    connectAndTrack(button, 'clicked', () => {
+        myPopup.menu.close();
+        action.activate(systemActions);
+    });
+
+    return button;
+}
+
+/**
+ * Fills the footer with the session actions chosen in the settings, hiding
+ * it when there are none.
+ * @param {St.BoxLayout} footer - Footer row under the categories
+ */
+function populateSessionFooter(footer) {
+    footer.destroy_all_children();
+
+    settings.get_strv('session-buttons')
+        .filter(actionId => SESSION_ACTIONS[actionId])
+        .forEach(actionId => footer.add_child(createSessionButton(SESSION_ACTIONS[actionId])));
+
+    footer.visible = footer.get_n_children() > 0;
+}
+
+// -------- User Header --------
+
+/**
+ * Returns the name shown in the user header.
+ * @param {AccountsService.User} user - Logged in user
+ * @returns {string} Real name, or the login name if none is set
+ */
+function getUserDisplayName(user) {
+    if (user.is_loaded && user.get_real_name())
+        return user.get_real_name();
+
+    // GLib falls back to "Unknown" when the passwd entry has no name
+    const realName = GLib.get_real_name();
+    return realName && realName !== 'Unknown' ? realName : GLib.get_user_name();
+}
+
+/**
+ * Creates a shortcut button of the user header.
+ * @param {string} iconName - Themed icon name
+ * @param {string} label - Accessible name
+ * @param {Function} onClicked - Called after the menu is closed
+ * @returns {St.Button} The created button
+ */
+function createHeaderButton(iconName, label, onClicked) {
+    const button = new St.Button({
+        style_class: 'popup-menu-footer-button',
+        reactive: true,
+        can_focus: true,
+        accessible_name: label,
+        child: new St.Icon({
+            icon_name: iconName,
+            icon_size: SESSION_BUTTON_ICON_SIZE,
+        }),
+    });
+
+    connectAndTrack(button, 'clicked', () => {
+        myPopup.menu.close();
+        onClicked();
+    });
+
+    return button;
+}
+
+/**
+ * Creates the header button launching an app, or null if it isn't installed.
+ * @param {Gio.AppInfo|null} appInfo - App to launch
+ * @param {string} iconName - Themed icon name
+ * @param {string} label - Accessible name
+ * @returns {St.Button|null} The created button
+ */
+function createHeaderAppButton(appInfo, iconName, label) {
+    if (!appInfo)
+        return null;
+
+    return createHeaderButton(iconName, label, () => launchApp(appInfo));
+}
+
+/**
+ * Creates the header showing the logged in user's avatar and name, with
+ * shortcuts to GNOME Settings, the extension preferences and the file
+ * manager. The user account is read from AccountsService, which loads
+ * asynchronously.
+ * @returns {St.BoxLayout} The created header
+ */
+function createUserHeader() {
+    const header = new St.BoxLayout({ style_class: 'popup-menu-user-header' });
+    const user = AccountsService.UserManager.get_default().get_user(GLib.get_user_name());
+
+    const avatar = new UserWidget.Avatar(user, {
+        iconSize: USER_AVATAR_SIZE,
+        styleClass: 'user-icon popup-menu-user-avatar',
+    });
+    const nameLabel = new St.Label({
+        style_class: 'popup-menu-user-name',
+        x_expand: true,
+        y_align: Clutter.ActorAlign.CENTER,
+    });
+    header.add_child(avatar);
+    header.add_child(nameLabel);
+
+    const update = () => {
+        avatar.update();
+        nameLabel.set_text(getUserDisplayName(user));
+    };
+    update();
+
+    // The user object outlives the header, which is rebuilt with the popup
+    const userSignalIds = [
+        user.connect('notify::is-loaded', update),
+        user.connect('changed', update),
+    ];
+    header.connect('destroy', () => {
+        userSignalIds.forEach(id => user.disconnect(id));
+    });
+
+    [
+        createHeaderAppButton(Gio.DesktopAppInfo.new(SETTINGS_APP_ID), 'emblem-system-symbolic', 'Settings'),
+        createHeaderButton('preferences-other-symbolic', 'Start Menu Preferences', () => {
+            Extension.lookupByURL(import.meta.url)?.openPreferences();
+        }),
+        // Whatever file manager opens folders, not only GNOME Files
+        createHeaderAppButton(
+            Gio.AppInfo.get_default_for_type('inode/directory', false),
+            'system-file-manager-symbolic',
+            'Files'
+        ),
+    ]
+        .filter(button => button !== null)
+        .forEach(button => header.add_child(button));
+
+    header.visible = settings.get_boolean('user-header');
+    return header;
+}
+
+// -------- Main Popup Button --------
+
+/**
+ * Main popup button for the start menu.
+ */
+const MyPopup = GObject.registerClass(
+    class MyPopup extends PanelMenu.Button {
+        _init() {
+            super._init(2);
+            this.set_style('padding: 0; margin: 0;');
+
+            const icon = new St.Icon({
+                gicon: Gio.icon_new_for_string(
+                    GLib.build_filenamev([iconDir, 'icon.svg'])
                 ),
             });
             this.add_child(icon);
@@ -547,8 +2067,18 @@ const MyPopup = GObject.registerClass(
 
             const mainMenu = new St.BoxLayout({ vertical: false });
 
+            // The session buttons stay under the categories, which are rebuilt on their own
+            this.categoriesColumn = new St.BoxLayout({ vertical: true });
+            this.userHeader = createUserHeader();
+            this.categoriesColumn.add_child(this.userHeader);
             this.categoriesMenu = new St.BoxLayout({ vertical: true });
-            mainMenu.add_child(this.categoriesMenu);
+            this.categoriesColumn.add_child(this.categoriesMenu);
+            this.footer = new St.BoxLayout({
+                style_class: 'popup-menu-footer',
+                x_align: Clutter.ActorAlign.CENTER,
+            });
+            this.categoriesColumn.add_child(this.footer);
+            mainMenu.add_child(this.categoriesColumn);
 
             this.appsMenu = new St.BoxLayout({ vertical: true });
             this.scrollView = new St.ScrollView({
@@ -564,123 +2094,296 @@ const MyPopup = GObject.registerClass(
             this.categoriesMenu.add_child(createRecentsCategoryItem());
 
             this._setupSearchEntry();
+            populateSessionFooter(this.footer);
 
             mainMenuItem.add_child(mainMenu);
             this.menu.addMenuItem(mainMenuItem);
 
+            this._contextMenuManager = new PopupMenu.PopupMenuManager(this);
+            this._appContextMenu = null;
+
             this._setupMenuBehavior();
         }
 
-        _populateCategoriesMenu() {
-            // Get normal categories (excluding special ones) and sort by rank
-            const normalCategories = Array.from(categories.values())
-                .filter(category => category.name !== ALL_APPS_CAT && category.name !== SEARCH_APP_CAT)
-                .sort((a, b) => {
-                    // Handle null ranks (though normal categories shouldn't have null)
-                    if (a.rank === null) return 1;
-                    if (b.rank === null) return -1;
-                    return a.rank - b.rank;
+        _openAppContextMenu(menuItem, appInfo, context) {
+            this._closeAppContextMenu();
+
+            const contextMenu = new AppContextMenu(menuItem, appInfo, context);
+            if (contextMenu.isEmpty()) {
+                contextMenu.destroy();
+                return;
+            }
+
+            this._appContextMenu = contextMenu;
+            this._contextMenuManager.addMenu(contextMenu);
+            Main.uiGroup.add_child(contextMenu.actor);
+            contextMenu.actor.hide();
+
+            contextMenu.connect('open-state-changed', (_menu, isOpen) => {
+                if (isOpen)
+                    return;
+
+                // Destroy once the close animation and item activation are done
+                addTrackedIdle(GLib.PRIORITY_DEFAULT_IDLE, () => {
+                    if (this._appContextMenu === contextMenu)
+                        this._closeAppContextMenu();
+                    return GLib.SOURCE_REMOVE;
                 });
+            });
+
+            contextMenu.open(BoxPointer.PopupAnimation.FULL);
+        }
+
+        _removeAppItem(menuItem) {
+            if (this.focusedApp === menuItem)
+                this.focusedApp = null;
+
+            menuItem.destroy();
+        }
+
+        _closeAppContextMenu() {
+            if (!this._appContextMenu)
+                return;
 
-            // Add sorted categories
-            normalCategories.forEach(category => {
+            const contextMenu = this._appContextMenu;
+            this._appContextMenu = null;
+            this._contextMenuManager.removeMenu(contextMenu);
+            contextMenu.destroy();
+        }
+
+        _populateCategoriesMenu() {
+            // Add "Favorites" category if enabled
+            if (categories.has(FAVORITES_CAT))
+                this.categoriesMenu.add_child(createFavoritesCategoryItem());
+
+            // Add normal categories (excluding special ones) sorted by rank
+            getNormalCategories().forEach(category => {
                 this.categoriesMenu.add_child(createCategoryItem(category));
             });
 
-            // Add "All Apps" category if exists
-            if (categories.has(ALL_APPS_CAT)) {
-                const menuItem = createCategoryItem(categories.get(ALL_APPS_CAT));
-                const label = menuItem.get_child_at_index(1);
+            // Add "All Apps" category if exists
+            if (categories.has(ALL_APPS_CAT)) {
+                const menuItem = createCategoryItem(categories.get(ALL_APPS_CAT));
+                const label = menuItem.get_child_at_index(1);
+
+                if (label)
+                    label.text = 'Show all applications';
+
+                connectAndTrack(menuItem, 'activate', () => {
+                    this.menu.close();
+                    showApplicationsOverview();
+                });
+
+                connectAndTrack(menuItem, 'enter-event', () => {
+                    this.appsMenu.destroy_all_children();
+                });
+
+                this.categoriesMenu.add_child(menuItem);
+            }
+
+            // Add "Most used" category if enabled
+            if (categories.has(MOST_USED_CAT))
+                this.categoriesMenu.add_child(createMostUsedCategoryItem());
+        }
+
+        _setupSearchEntry() {
+            this.menuItemSearch = null;
+
+            if (!categories.has(SEARCH_APP_CAT))
+                return;
+
+            this.menuItemSearch = this._createSearchItem();
+            this.categoriesMenu.add_child(this.menuItemSearch);
+        }
+
+        _createSearchItem() {
+            const searchItem = new PopupMenu.PopupBaseMenuItem({
+                reactive: true,
+                can_focus: true,
+            });
+
+            if (typeof searchItem.setOrnament === 'function' && PopupMenu.Ornament) {
+                searchItem.setOrnament(PopupMenu.Ornament.NONE);
+            } else if (searchItem._ornamentLabel) {
+                searchItem.remove_child(searchItem._ornamentLabel);
+                searchItem._ornamentLabel = null;
+            }
+
+            searchItem.searchEntry = new St.Entry({
+                hint_text: settings.get_string('search-hint-text'),
+                can_focus: true,
+                x_expand: true,
+                y_expand: true,
+                style_class: 'category-name',
+            });
+
+            searchItem.add_child(searchItem.searchEntry);
+
+            connectAndTrack(searchItem, 'enter-event', () => {
+                if (this.focusedCategory && this.focusedCategory !== searchItem) {
+                    this.focusedCategory.remove_style_class_name('selected-item');
+                    this._categoryBeforeSearch = this.focusedCategory;
+                }
+
+                searchItem.add_style_class_name('selected-item');
+                this.focusedCategory = searchItem;
+                searchItem.searchEntry.grab_key_focus();
+            });
+
+            connectAndTrack(searchItem.searchEntry.clutter_text, 'text-changed', clutterText => {
+                // Entering a category clears the query, which must not replace its apps
+                if (this.focusedCategory !== searchItem) {
+                    cancelProviderSearch();
+                    return;
+                }
+
+                this._showSearchResults(clutterText.get_text().trim());
+            });
+
+            // The entry handles Enter itself, so it never reaches the menu's key handler
+            connectAndTrack(searchItem.searchEntry.clutter_text, 'activate', () => {
+                this._activateFocusedItem();
+            });
+
+            return searchItem;
+        }
+
+        _showSearchResults(query) {
+            this.appsMenu.destroy_all_children();
+
+            // A > or ! prefix switches to running a command, like Alt+F2
+            if (COMMAND_PREFIX_REGEX.test(query)) {
+                cancelProviderSearch();
+                showCommandResults(query.replace(COMMAND_PREFIX_REGEX, ''));
+                return;
+            }
+
+            // A calculation typed as the query shows its result first
+            const calculation = evaluateQuery(query);
+            if (calculation !== null)
+                this.appsMenu.add_child(createCalculatorItem(calculation));
+
+            // Score apps that should be shown, deduplicated by app ID
+            const seenIds = new Set();
+            const results = [];
+
+            // Personal launch history boosts frequently and recently used apps
+            const frecencies = getFrecencies();
+            const maxFrecency = Math.max(0, ...frecencies.values());
+            const frecencyWeight = settings.get_double('frecency-weight');
+
+            allApps.forEach(app => {
+                const appId = app.get_id?.() ?? '';
+                if (!appId || seenIds.has(appId) || !app.should_show())
+                    return;
 
-                if (label)
-                    label.text = 'Show all applications';
+                // An empty query lists every app in its original order
+                const match = query.length > 0
+                    ? scoreApp(app, query)
+                    : { score: 0, namePositions: [] };
 
-                connectAndTrack(menuItem, 'activate', () => {
-                    this.menu.close();
-                    showApplicationsOverview();
+                if (!match)
+                    return;
+
+                seenIds.add(appId);
+                results.push({
+                    app,
+                    namePositions: match.namePositions,
+                    score: query.length > 0
+                        ? match.score + getFrecencyBoost(frecencies.get(appId) ?? 0, maxFrecency, frecencyWeight)
+                        : 0,
                 });
+            });
 
-                connectAndTrack(menuItem, 'enter-event', () => {
-                    this.appsMenu.destroy_all_children();
+            results
+                .sort((a, b) => b.score - a.score)
+                .forEach(result => {
+                    this.appsMenu.add_child(createSearchedAppItem(result.app, result.namePositions));
                 });
 
-                this.categoriesMenu.add_child(menuItem);
-            }
+            showProviderResults(query);
         }
 
-        _setupSearchEntry() {
-            if (!categories.has(SEARCH_APP_CAT))
-                return;
+        _focusSearch() {
+            if (this.focusedApp) {
+                this.focusedApp.remove_style_pseudo_class('hover');
+                this.focusedApp = null;
+            }
+            this.isInAppsColumn = false;
 
-            this.menuItemSearch = new PopupMenu.PopupBaseMenuItem({
-                reactive: true,
-                can_focus: true,
-            });
+            this.menuItemSearch.emit('enter-event', null);
+        }
 
-            if (typeof this.menuItemSearch.setOrnament === 'function' && PopupMenu.Ornament) {
-                this.menuItemSearch.setOrnament(PopupMenu.Ornament.NONE);
-            } else if (this.menuItemSearch._ornamentLabel) {
-                this.menuItemSearch.remove_child(this.menuItemSearch._ornamentLabel);
-                this.menuItemSearch._ornamentLabel = null;
+        _typeIntoSearch(event) {
+            // Shortcuts and keys without a character are left to the menu
+            const modifiers = Clutter.ModifierType.CONTROL_MASK |
+                Clutter.ModifierType.MOD1_MASK |
+                Clutter.ModifierType.SUPER_MASK;
+            const character = event.get_key_unicode();
+            if ((event.get_state() & modifiers) !== 0 || !character || !GLib.unichar_isprint(character))
+                return false;
+
+            // Without the "Search app" category, a search row is shown until the menu closes
+            if (!this.menuItemSearch) {
+                this.menuItemSearch = this._createSearchItem();
+                this.menuItemSearch._isTransient = true;
+                this.categoriesMenu.insert_child_at_index(this.menuItemSearch, 0);
             }
 
-            this.menuItemSearch.searchEntry = new St.Entry({
-                hint_text: 'Search for an app...                 ',
-                can_focus: true,
-                x_expand: true,
-                y_expand: true,
-                style_class: 'category-name',
-            });
-
-            this.menuItemSearch.add_child(this.menuItemSearch.searchEntry);
-            this.categoriesMenu.add_child(this.menuItemSearch);
+            this._focusSearch();
 
-            connectAndTrack(this.menuItemSearch, 'enter-event', () => {
-                if (this.focusedCategory && this.focusedCategory !== this.menuItemSearch)
-                    this.focusedCategory.remove_style_class_name('selected-item');
+            const clutterText = this.menuItemSearch.searchEntry.clutter_text;
+            clutterText.set_text(`${clutterText.get_text()}${character}`);
+            clutterText.set_cursor_position(-1);
+            return true;
+        }
 
-                this.menuItemSearch.add_style_class_name('selected-item');
-                this.focusedCategory = this.menuItemSearch;
-                this.menuItemSearch.searchEntry.grab_key_focus();
-            });
+        _closeTransientSearch() {
+            if (!this.menuItemSearch?._isTransient)
+                return;
 
-            connectAndTrack(this.menuItemSearch.searchEntry.clutter_text, 'text-changed', clutterText => {
-                this.appsMenu.destroy_all_children();
+            if (this.focusedCategory === this.menuItemSearch)
+                this.focusedCategory = null;
 
-                const searchText = clutterText.get_text().trim().toLowerCase();
+            this.menuItemSearch.destroy();
+            this.menuItemSearch = null;
+        }
 
-                // Filter apps that should be shown and match search text
-                const matchingApps = allApps.filter(app =>
-                    app.should_show() && app.get_display_name().toLowerCase().includes(searchText)
-                );
+        _leaveSearch() {
+            const previousCategory = this._categoryBeforeSearch;
+            this._categoryBeforeSearch = null;
 
-                // Deduplicate by app ID to avoid showing the same app multiple times
-                const seenIds = new Set();
-                const uniqueApps = matchingApps.filter(app => {
-                    const appId = app.get_id?.() ?? '';
-                    if (!appId || seenIds.has(appId)) {
-                        return false;
-                    }
-                    seenIds.add(appId);
-                    return true;
-                });
+            if (previousCategory?.get_parent() === this.categoriesMenu) {
+                previousCategory.emit('enter-event', null);
+                previousCategory.grab_key_focus();
+            } else if (this.menuItemSearch?._isTransient) {
+                this.appsMenu.destroy_all_children();
+                this.menu.actor.grab_key_focus();
+            }
 
-                uniqueApps.forEach(app => {
-                    this.appsMenu.add_child(createSearchedAppItem(app));
-                });
-            });
+            this._closeTransientSearch();
         }
 
         _setupMenuBehavior() {
             this.focusedCategory = null;
             this.focusedApp = null;
             this.isInAppsColumn = false;
+            this._categoryBeforeSearch = null;
 
             connectAndTrack(this.menu, 'open-state-changed', (_menu, isOpen) => {
-                if (!isOpen)
+                if (!isOpen) {
+                    cancelProviderSearch();
+                    pathExecutables = null;
+                    this._closeAppContextMenu();
+                    this._closeTransientSearch();
+                    this._categoryBeforeSearch = null;
                     return;
+                }
 
-                this.scrollView.height = this.categoriesMenu.get_height();
+                // Availability of the session actions can change without notice
+                SystemActions.getDefault().forceUpdate();
+
+                this.scrollView.height = this.categoriesColumn.get_height();
                 this.appsMenu.destroy_all_children();
                 this.focusedApp = null;
                 this.isInAppsColumn = false;
@@ -690,15 +2393,51 @@ const MyPopup = GObject.registerClass(
 
                 if (this.menuItemSearch) {
                     this.menuItemSearch.add_style_class_name('selected-item');
+                    this.focusedCategory = this.menuItemSearch;
                     this.menuItemSearch.searchEntry.clutter_text.set_text('');
 
                     addTrackedIdle(GLib.PRIORITY_DEFAULT_IDLE, () => {
-                        this.menuItemSearch.searchEntry.grab_key_focus();
+                        this.menuItemSearch?.searchEntry.grab_key_focus();
+                        return GLib.SOURCE_REMOVE;
+                    });
+                } else {
+                    // Keys must reach the menu to be typed into a transient search
+                    addTrackedIdle(GLib.PRIORITY_DEFAULT_IDLE, () => {
+                        this.menu.actor.grab_key_focus();
                         return GLib.SOURCE_REMOVE;
                     });
                 }
             });
 
+            // Escape clears the query before it closes the menu, and Backspace
+            // in the empty search entry returns to the category left for it
+            connectAndTrack(this.menu.actor, 'captured-event', (_actor, event) => {
+                if (event.type() !== Clutter.EventType.KEY_PRESS || !this.menuItemSearch)
+                    return Clutter.EVENT_PROPAGATE;
+
+                const symbol = event.get_key_symbol();
+                const clutterText = this.menuItemSearch.searchEntry.clutter_text;
+
+                if (symbol === Clutter.KEY_Escape && clutterText.get_text().length > 0) {
+                    this._focusSearch();
+                    clutterText.set_text('');
+                    return Clutter.EVENT_STOP;
+                }
+
+                if (symbol === Clutter.KEY_Tab && COMMAND_PREFIX_REGEX.test(clutterText.get_text())) {
+                    this._completeCommand();
+                    return Clutter.EVENT_STOP;
+                }
+
+                if (symbol === Clutter.KEY_BackSpace && clutterText.get_text().length === 0 &&
+                    clutterText.has_key_focus()) {
+                    this._leaveSearch();
+                    return Clutter.EVENT_STOP;
+                }
+
+                return Clutter.EVENT_PROPAGATE;
+            });
+
             // Add keyboard navigation
             connectAndTrack(this.menu.actor, 'key-press-event', (_actor, event) => {
                 const symbol = event.get_key_symbol();
@@ -711,13 +2450,27 @@ const MyPopup = GObject.registerClass(
                     this._navigateVertical(1);
                     return Clutter.EVENT_STOP;
                 } else if (symbol === Clutter.KEY_Left) {
-                    this._navigateToCategories();
+                    if (!this._navigateFooter(-1))
+                        this._navigateToCategories();
                     return Clutter.EVENT_STOP;
                 } else if (symbol === Clutter.KEY_Right) {
-                    this._navigateToApps();
+                    if (!this._navigateFooter(1))
+                        this._navigateToApps();
                     return Clutter.EVENT_STOP;
                 } else if (symbol === Clutter.KEY_Return || symbol === Clutter.KEY_KP_Enter) {
-                    this._activateFocusedItem();
+                    if (event.get_state() & Clutter.ModifierType.CONTROL_MASK)
+                        this._runFocusedCommandInTerminal();
+                    else
+                        this._activateFocusedItem();
+                    return Clutter.EVENT_STOP;
+                } else if (symbol === Clutter.KEY_Menu ||
+                    (symbol === Clutter.KEY_F10 && (event.get_state() & Clutter.ModifierType.SHIFT_MASK))) {
+                    if (this.isInAppsColumn && this.focusedApp?._openContextMenu) {
+                        this.focusedApp._openContextMenu();
+                        return Clutter.EVENT_STOP;
+                    }
+                } else if (this._typeIntoSearch(event)) {
+                    // Typing anywhere in the menu searches
                     return Clutter.EVENT_STOP;
                 }
 
@@ -727,8 +2480,8 @@ const MyPopup = GObject.registerClass(
 
         _navigateVertical(direction) {
             if (this.isInAppsColumn) {
-                // Navigate in apps list
-                const children = this.appsMenu.get_children();
+                // Navigate in apps list, skipping labels
+                const children = this.appsMenu.get_children().filter(child => child.reactive);
                 if (children.length === 0) return;
 
                 let currentIndex = this.focusedApp ? children.indexOf(this.focusedApp) : -1;
@@ -748,18 +2501,32 @@ const MyPopup = GObject.registerClass(
                 // Scroll to make visible
                 this._scrollToActor(newFocus);
             } else {
-                // Navigate in categories list
+                // Navigate in categories list, the footer counting as one more row
                 const children = Array.from(this.categoriesMenu.get_children()).filter(
                     child => child instanceof PopupMenu.PopupBaseMenuItem
                 );
-                if (children.length === 0) return;
+                const footerButtons = this._getFooterButtons();
+                const inFooter = footerButtons.some(button => button.has_key_focus());
+                const lastIndex = footerButtons.length > 0 ? children.length : children.length - 1;
+                if (lastIndex < 0) return;
 
                 let currentIndex = this.focusedCategory ? children.indexOf(this.focusedCategory) : -1;
+                if (inFooter)
+                    currentIndex = children.length;
                 let newIndex = currentIndex + direction;
 
                 // Wrap around
-                if (newIndex < 0) newIndex = children.length - 1;
-                if (newIndex >= children.length) newIndex = 0;
+                if (newIndex < 0) newIndex = lastIndex;
+                if (newIndex > lastIndex) newIndex = 0;
+
+                if (newIndex === children.length) {
+                    footerButtons[0].grab_key_focus();
+                    return;
+                }
+
+                // Keys must reach the menu again once the footer is left
+                if (inFooter)
+                    this.menu.actor.grab_key_focus();
 
                 const newFocus = children[newIndex];
                 if (newFocus) {
@@ -769,10 +2536,29 @@ const MyPopup = GObject.registerClass(
             }
         }
 
+        _getFooterButtons() {
+            return this.footer.get_children().filter(button => button.visible);
+        }
+
+        _navigateFooter(direction) {
+            const buttons = this._getFooterButtons();
+            const index = buttons.findIndex(button => button.has_key_focus());
+            if (index < 0)
+                return false;
+
+            buttons[(index + direction + buttons.length) % buttons.length].grab_key_focus();
+            return true;
+        }
+
         _navigateToApps() {
-            if (this.isInAppsColumn) return;
+            if (this.isInAppsColumn) {
+                // Drill down into a focused folder
+                if (this.focusedApp?._folderName)
+                    this.focusedApp.emit('activate', null);
+                return;
+            }
 
-            const appChildren = this.appsMenu.get_children();
+            const appChildren = this.appsMenu.get_children().filter(child => child.reactive);
             if (appChildren.length === 0) return;
 
             this.isInAppsColumn = true;
@@ -787,6 +2573,13 @@ const MyPopup = GObject.registerClass(
         _navigateToCategories() {
             if (!this.isInAppsColumn) return;
 
+            // Inside a folder, go back up to its category first
+            const breadcrumb = this.appsMenu.get_first_child();
+            if (breadcrumb?._isBreadcrumb) {
+                breadcrumb.emit('activate', null);
+                return;
+            }
+
             this.isInAppsColumn = false;
 
             // Remove hover from apps
@@ -798,15 +2591,61 @@ const MyPopup = GObject.registerClass(
             // Focus stays on current category
         }
 
+        _focusAppItem(item) {
+            // The previous item was destroyed with the pane's content
+            this.focusedApp = null;
+
+            // Only keyboard focus follows a drill-down, the pointer hovers on its own
+            if (!this.isInAppsColumn || !item)
+                return;
+
+            item.add_style_pseudo_class('hover');
+            this.focusedApp = item;
+            this._scrollToActor(item);
+        }
+
         _activateFocusedItem() {
             if (this.isInAppsColumn && this.focusedApp) {
                 this.focusedApp.emit('activate', null);
+            } else if (this.menuItemSearch && this.focusedCategory === this.menuItemSearch) {
+                // Enter in the search entry activates the first result of a query
+                if (this.menuItemSearch.searchEntry.get_text().trim().length > 0)
+                    this._getFirstResult()?.emit('activate', null);
             } else if (this.focusedCategory && !this.isInAppsColumn) {
                 // If it's a special category (All Apps), activate it
                 this.focusedCategory.emit('activate', null);
             }
         }
 
+        _getFirstResult() {
+            return this.appsMenu.get_children().find(child => child.reactive) ?? null;
+        }
+
+        _completeCommand() {
+            const clutterText = this.menuItemSearch.searchEntry.clutter_text;
+            const [prefix] = clutterText.get_text().match(COMMAND_PREFIX_REGEX);
+            const typed = clutterText.get_text().slice(prefix.length).trim();
+
+            const completion = this.appsMenu.get_children()
+                .map(child => child._command)
+                .find(command => command?.startsWith(typed) && command !== typed);
+            if (!completion)
+                return;
+
+            this._focusSearch();
+            clutterText.set_text(`${prefix}${completion} `);
+            clutterText.set_cursor_position(-1);
+        }
+
+        _runFocusedCommandInTerminal() {
+            const item = this.isInAppsColumn ? this.focusedApp : this._getFirstResult();
+            if (!item?._command)
+                return;
+
+            runCommand(item._command, true);
+            this.menu.close();
+        }
+
         _scrollToActor(actor) {
             const adjustment = this.scrollView.get_vscroll_bar().get_adjustment();
             const [value, lower, upper, stepIncrement, pageIncrement, pageSize] = [
@@ -837,6 +2676,17 @@ const MyPopup = GObject.registerClass(
 
 // -------- Application Directory Monitoring --------
 
+/**
+ * Reloads the list of installed applications.
+ */
+function reloadAllApps() {
+    allApps = Gio.AppInfo.get_all();
+    clearSearchCache();
+    clearRulesCache();
+    evaluateSmartCategories();
+    reloadSearchProviders();
+}
+
 /**
  * Rebuilds the categories menu in the popup.
  */
@@ -846,6 +2696,8 @@ function rebuildCategoriesMenu() {
 
     // Clear existing categories (except search which is added separately)
     myPopup.categoriesMenu.destroy_all_children();
+    myPopup.focusedCategory = null;
+    myPopup._categoryBeforeSearch = null;
 
     // Repopulate categories
     myPopup._populateCategoriesMenu();
@@ -870,9 +2722,9 @@ function setupAppListWatcher() {
 
         reloadTimeoutId = GLib.timeout_add(
             GLib.PRIORITY_DEFAULT,
-            RELOAD_DELAY_MS,
+            settings.get_int('reload-delay-ms'),
             () => {
-                allApps = Gio.AppInfo.get_all();
+                reloadAllApps();
                 reloadTimeoutId = 0;
                 return GLib.SOURCE_REMOVE;
             }
@@ -895,9 +2747,9 @@ function setupAppListWatcher() {
 
                 reloadTimeoutId = GLib.timeout_add(
                     GLib.PRIORITY_DEFAULT,
-                    RELOAD_DELAY_MS,
+                    settings.get_int('reload-delay-ms'),
                     () => {
-                        allApps = Gio.AppInfo.get_all();
+                        reloadAllApps();
                         reloadTimeoutId = 0;
                         return GLib.SOURCE_REMOVE;
                     }
@@ -911,6 +2763,29 @@ function setupAppListWatcher() {
     });
 }
 
+/**
+ * Keeps the favorites category in sync with favorites changed elsewhere
+ * (the dash, the app grid or another extension).
+ */
+function setupFavoritesWatcher() {
+    connectAndTrack(AppFavorites.getAppFavorites(), 'changed', () => {
+        const favoritesItem = myPopup?.focusedCategory;
+        if (favoritesItem?._tag !== 'favorites' || !myPopup.menu.isOpen)
+            return;
+
+        // Reload the shown favorites once a context menu action that
+        // changed them has finished
+        addTrackedIdle(GLib.PRIORITY_DEFAULT_IDLE, () => {
+            if (myPopup?.focusedCategory === favoritesItem) {
+                myPopup.focusedApp = null;
+                myPopup.isInAppsColumn = false;
+                favoritesItem.emit('enter-event', null);
+            }
+            return GLib.SOURCE_REMOVE;
+        });
+    });
+}
+
 /**
  * Sets up a file monitor to watch the categories file for changes.
  */
@@ -933,7 +2808,7 @@ function setupCategoriesFileWatcher() {
 
                 reloadTimeoutId = GLib.timeout_add(
                     GLib.PRIORITY_DEFAULT,
-                    RELOAD_DELAY_MS,
+                    settings.get_int('reload-delay-ms'),
                     () => {
                         loadCategoriesFromDisk(() => {
                             if (!myPopup)
@@ -941,7 +2816,11 @@ function setupCategoriesFileWatcher() {
 
                             allIconCategories = getAllIcons(iconCategoriesDir);
                             allIconApps = getAllIcons(iconAppsDir);
+                            evaluateSmartCategories();
                             rebuildCategoriesMenu();
+
+                            if (appFoldersSettings)
+                                syncToAppFolders();
                         });
                         reloadTimeoutId = 0;
                         return GLib.SOURCE_REMOVE;
@@ -956,6 +2835,332 @@ function setupCategoriesFileWatcher() {
     }
 }
 
+// -------- GNOME App Folders Sync --------
+
+/**
+ * Applies changes made to the app folders of the overview to the categories.
+ */
+function syncFromAppFolders() {
+    try {
+        const changed = importAppFolders(categories, readAppFolders(), true);
+        syncedFolderIds = getLinkedFolderIds(categories);
+        if (!changed)
+            return;
+
+        evaluateSmartCategories();
+        saveCategoriesToDisk();
+        rebuildCategoriesMenu();
+    } catch (e) {
+        logError(e, 'Failed to import app folders');
+    }
+}
+
+/**
+ * Writes the categories to the app folders of the overview.
+ */
+function syncToAppFolders() {
+    try {
+        // Categories linked to a newly created folder remember its ID
+        const linksChanged = exportAppFolders(categories, true, syncedFolderIds);
+        syncedFolderIds = getLinkedFolderIds(categories);
+        if (linksChanged)
+            saveCategoriesToDisk();
+    } catch (e) {
+        logError(e, 'Failed to export app folders');
+    }
+}
+
+/**
+ * Imports the app folders once a burst of changes to them is over (the app
+ * grid writes several keys per edit).
+ */
+function scheduleSyncFromAppFolders() {
+    if (appFoldersSyncTimeoutId)
+        GLib.source_remove(appFoldersSyncTimeoutId);
+
+    appFoldersSyncTimeoutId = GLib.timeout_add(
+        GLib.PRIORITY_DEFAULT,
+        settings.get_int('reload-delay-ms'),
+        () => {
+            appFoldersSyncTimeoutId = 0;
+            syncFromAppFolders();
+            return GLib.SOURCE_REMOVE;
+        }
+    );
+}
+
+/**
+ * Disconnects the change handlers of the individual app folders.
+ */
+function disconnectFolderSettings() {
+    folderConnections.forEach(({ obj, id }) => obj.disconnect(id));
+    folderConnections = [];
+}
+
+/**
+ * Watches every app folder listed in folder-children for changes.
+ */
+function watchFolderSettings() {
+    disconnectFolderSettings();
+
+    appFoldersSettings.get_strv('folder-children').forEach(folderId => {
+        const folderSettings = getFolderSettings(folderId);
+        const id = folderSettings.connect('changed', scheduleSyncFromAppFolders);
+        folderConnections.push({ obj: folderSettings, id });
+    });
+}
+
+/**
+ * Starts the two-way sync: folders are imported first so none is lost,
+ * then categories without a folder get one.
+ */
+function startAppFoldersSync() {
+    appFoldersSettings = getAppFoldersSettings();
+
+    syncFromAppFolders();
+    syncToAppFolders();
+
+    watchFolderSettings();
+    folderConnections.push({
+        obj: appFoldersSettings,
+        id: appFoldersSettings.connect('changed::folder-children', () => {
+            watchFolderSettings();
+            scheduleSyncFromAppFolders();
+        }),
+    });
+}
+
+/**
+ * Stops the two-way sync with the app folders.
+ */
+function stopAppFoldersSync() {
+    if (appFoldersSyncTimeoutId) {
+        GLib.source_remove(appFoldersSyncTimeoutId);
+        appFoldersSyncTimeoutId = 0;
+    }
+
+    disconnectFolderSettings();
+    appFoldersSettings = null;
+    syncedFolderIds = new Set();
+}
+
+/**
+ * Starts or stops the app folders sync as the setting changes.
+ */
+function setupAppFoldersSync() {
+    if (settings.get_boolean('sync-app-folders'))
+        startAppFoldersSync();
+
+    connectAndTrack(settings, 'changed::sync-app-folders', () => {
+        stopAppFoldersSync();
+        if (settings.get_boolean('sync-app-folders'))
+            startAppFoldersSync();
+    });
+}
+
+// -------- Keyboard Shortcuts --------
+
+/**
+ * Counts the launch-app-N shortcuts of the schema, which launch the apps of
+ * the hotkey category by position.
+ * @returns {number} Number of launch shortcuts
+ */
+function getLaunchHotkeyCount() {
+    return settings.settings_schema.list_keys().filter(key => key.startsWith('launch-app-')).length;
+}
+
+/**
+ * Opens the menu, leaving the overview first, or closes it if it is open.
+ * Opening focuses the search entry.
+ */
+function toggleMenu() {
+    if (!myPopup)
+        return;
+
+    if (myPopup.menu.isOpen) {
+        myPopup.menu.close();
+        return;
+    }
+
+    if (Main.overview.visible)
+        Main.overview.hide();
+
+    myPopup.menu.open();
+}
+
+/**
+ * Lists the apps launched by the hotkeys, in the order the menu shows them.
+ * @returns {Gio.AppInfo[]} Installed apps of the hotkey category
+ */
+function getHotkeyAppInfos() {
+    const categoryName = settings.get_string('hotkey-category');
+    if (categoryName === FAVORITES_CAT)
+        return getFavoriteAppInfos();
+
+    const category = categories.get(categoryName);
+    if (!category || BUILTIN_CATEGORIES.includes(category.name))
+        return [];
+
+    return getCategoryApps(category)
+        .map(app => Gio.DesktopAppInfo.new(app.id.endsWith('.desktop') ? app.id : `${app.id}.desktop`))
+        .filter(appInfo => appInfo !== null && appInfo.should_show());
+}
+
+/**
+ * Launches the app at a position of the hotkey category.
+ * @param {number} position - Position of the app, starting at 1
+ */
+function launchHotkeyApp(position) {
+    const appInfo = getHotkeyAppInfos()[position - 1];
+    if (!appInfo)
+        return;
+
+    myPopup?.menu.close();
+    launchApp(appInfo);
+}
+
+/**
+ * Blocks the shell's Super key handler and opens the menu instead.
+ */
+function takeOverOverlayKey() {
+    if (overlayKeyConnectionId)
+        return;
+
+    overlayKeyHandlerId = GObject.signal_handler_find(global.display, { signalId: 'overlay-key' });
+    if (overlayKeyHandlerId)
+        GObject.signal_handler_block(global.display, overlayKeyHandlerId);
+
+    overlayKeyConnectionId = global.display.connect('overlay-key', () => {
+        if (Main.actionMode & MENU_ACTION_MODES)
+            toggleMenu();
+    });
+}
+
+/**
+ * Gives the Super key back to the shell.
+ */
+function releaseOverlayKey() {
+    if (overlayKeyConnectionId) {
+        global.display.disconnect(overlayKeyConnectionId);
+        overlayKeyConnectionId = 0;
+    }
+
+    if (overlayKeyHandlerId) {
+        GObject.signal_handler_unblock(global.display, overlayKeyHandlerId);
+        overlayKeyHandlerId = 0;
+    }
+}
+
+/**
+ * Registers the shortcuts toggling the menu and launching apps, and follows
+ * the Super key setting. The shell rebinds the shortcuts itself when their
+ * settings change.
+ */
+function setupKeybindings() {
+    Main.wm.addKeybinding(
+        'toggle-menu',
+        settings,
+        Meta.KeyBindingFlags.IGNORE_AUTOREPEAT,
+        MENU_ACTION_MODES,
+        toggleMenu
+    );
+
+    for (let position = 1; position <= getLaunchHotkeyCount(); position++) {
+        Main.wm.addKeybinding(
+            `launch-app-${position}`,
+            settings,
+            Meta.KeyBindingFlags.IGNORE_AUTOREPEAT,
+            MENU_ACTION_MODES,
+            () => launchHotkeyApp(position)
+        );
+    }
+
+    if (settings.get_boolean('super-key-opens-menu'))
+        takeOverOverlayKey();
+
+    connectAndTrack(settings, 'changed::super-key-opens-menu', () => {
+        if (settings.get_boolean('super-key-opens-menu'))
+            takeOverOverlayKey();
+        else
+            releaseOverlayKey();
+    });
+}
+
+/**
+ * Removes the shortcuts and gives the Super key back to the shell.
+ */
+function removeKeybindings() {
+    Main.wm.removeKeybinding('toggle-menu');
+    for (let position = 1; position <= getLaunchHotkeyCount(); position++)
+        Main.wm.removeKeybinding(`launch-app-${position}`);
+    releaseOverlayKey();
+}
+
+// -------- Settings --------
+
+/**
+ * Creates the popup button and adds it to the panel box configured in settings.
+ */
+function addPopupToPanel() {
+    myPopup = new MyPopup();
+    Main.panel.addToStatusArea(
+        'startMenu',
+        myPopup,
+        settings.get_int('panel-index'),
+        settings.get_string('panel-position')
+    );
+}
+
+/**
+ * Recreates the popup button so it moves to the configured panel position.
+ */
+function repositionPopup() {
+    if (!myPopup)
+        return;
+
+    // The menu's actor lives outside the button, so it is passed as its own root
+    disconnectSignalsOf([myPopup, myPopup.menu.actor], [myPopup.menu]);
+    myPopup.destroy();
+    myPopup = null;
+    addPopupToPanel();
+}
+
+/**
+ * Sets up listeners so the popup reacts live to settings changes.
+ */
+function setupSettingsWatcher() {
+    connectAndTrack(settings, 'changed::panel-position', () => repositionPopup());
+    connectAndTrack(settings, 'changed::panel-index', () => repositionPopup());
+
+    connectAndTrack(settings, 'changed::max-recents', () => {
+        const maxRecents = settings.get_int('max-recents');
+        if (recents.length <= maxRecents)
+            return;
+
+        recents.length = maxRecents;
+        saveRecentsToDisk();
+    });
+
+    connectAndTrack(settings, 'changed::search-hint-text', () => {
+        myPopup?.menuItemSearch?.searchEntry.set_hint_text(settings.get_string('search-hint-text'));
+    });
+
+    connectAndTrack(settings, 'changed::search-providers', () => reloadSearchProviders());
+
+    connectAndTrack(settings, 'changed::user-header', () => {
+        if (myPopup)
+            myPopup.userHeader.visible = settings.get_boolean('user-header');
+    });
+
+    connectAndTrack(settings, 'changed::session-buttons', () => {
+        if (myPopup)
+            populateSessionFooter(myPopup.footer);
+    });
+
+    connectAndTrack(settings, 'changed::category-icon-scale', () => rebuildCategoriesMenu());
+    connectAndTrack(settings, 'changed::app-icon-scale', () => rebuildCategoriesMenu());
+}
+
 // -------- Extension Entry Point --------
 
 /**
@@ -965,18 +3170,26 @@ export default class StartMenuExtension extends Extension {
     enable() {
         const currentGeneration = ++enableGeneration;
 
-        // Initialize paths
-        basePath = this.path;
-        filesDir = GLib.build_filenamev([basePath, 'files']);
-        categoriesFilePath = GLib.build_filenamev([filesDir, 'categories.jsonl']);
-        recentsFilePath = GLib.build_filenamev([filesDir, 'recents.jsonl']);
-        iconDir = GLib.build_filenamev([filesDir, 'icons']);
-        iconCategoriesDir = GLib.build_filenamev([iconDir, 'categories']);
-        iconAppsDir = GLib.build_filenamev([iconDir, 'apps']);
-        pathCategoryGenericIcon = GLib.build_filenamev([iconDir, 'category_icon.png']);
+        settings = this.getSettings();
+
+        // Initialize paths (user data lives outside the extension directory)
+        ensureUserDataDir(this.path);
+        ({
+            dataDir,
+            categoriesFilePath,
+            backupsDir,
+            recentsFilePath,
+            launchStatsFilePath,
+            commandHistoryFilePath,
+            iconDir,
+            bundledIconCategoriesDir,
+            iconCategoriesDir,
+            iconAppsDir,
+            pathCategoryGenericIcon,
+        } = getDataPaths(this.path));
 
         // Load data
-        let pendingLoads = 2;
+        let pendingLoads = 4;
         const finishInitialLoad = () => {
             pendingLoads--;
 
@@ -988,6 +3201,8 @@ export default class StartMenuExtension extends Extension {
 
         loadCategoriesFromDisk(finishInitialLoad);
         loadRecentsFromDisk(finishInitialLoad);
+        loadLaunchStatsFromDisk(finishInitialLoad);
+        loadCommandHistoryFromDisk(finishInitialLoad);
     }
 
     _finishEnable(currentGeneration) {
@@ -995,16 +3210,20 @@ export default class StartMenuExtension extends Extension {
             return;
 
         allIconCategories = getAllIcons(iconCategoriesDir);
+        bundledIconCategories = getAllIcons(bundledIconCategoriesDir);
         allIconApps = getAllIcons(iconAppsDir);
-        allApps = Gio.AppInfo.get_all();
+        reloadAllApps();
 
         // Create UI
-        myPopup = new MyPopup();
-        Main.panel.addToStatusArea('startMenu', myPopup, 1, 'left');
+        addPopupToPanel();
 
-        // Watch for application and category changes
+        // Watch for application, category and settings changes
         setupAppListWatcher();
         setupCategoriesFileWatcher();
+        setupFavoritesWatcher();
+        setupSettingsWatcher();
+        setupAppFoldersSync();
+        setupKeybindings();
     }
 
     disable() {
@@ -1029,6 +3248,10 @@ export default class StartMenuExtension extends Extension {
             reloadTimeoutId = 0;
         }
 
+        stopAppFoldersSync();
+        removeKeybindings();
+        cancelProviderSearch();
+
         // Destroy popup
         if (myPopup) {
             myPopup.destroy();
@@ -1037,17 +3260,28 @@ export default class StartMenuExtension extends Extension {
 
         // Clear data structures
         categories.clear();
+        ruleMatches.clear();
+        recentFilesCache = { mtime: -1, entries: [] };
         allIconCategories.clear();
+        bundledIconCategories.clear();
         allIconApps.clear();
         allApps = [];
+        searchProviders = [];
         recents = [];
+        launchStats.clear();
+        commandHistory = [];
+        pathExecutables = null;
+        settings = null;
 
         // Clear paths
-        basePath = null;
-        filesDir = null;
+        dataDir = null;
         categoriesFilePath = null;
+        backupsDir = null;
         recentsFilePath = null;
+        launchStatsFilePath = null;
+        commandHistoryFilePath = null;
         iconDir = null;
+        bundledIconCategoriesDir = null;
         iconCategoriesDir = null;
         iconAppsDir = null;
         pathCategoryGenericIcon = null;
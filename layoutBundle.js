@@ -0,0 +1,276 @@
+// layoutBundle.js — GNOME 45+/48, ES Modules
+// Single-file export and import of the category layout with its custom icons.
+// Like the other shared modules, it must only depend on Gio/GLib.
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import { validateCategory } from './categoriesFile.js';
+import { ALLOWED_IMAGE_EXTENSIONS } from './userData.js';
+
+// -------- Constants --------
+
+export const BUNDLE_FILE_EXTENSION = 'json';
+
+const BUNDLE_FORMAT = 'start-menu-layout';
+const BUNDLE_VERSION = 1;
+
+// -------- Icons --------
+
+/**
+ * Lists the icon files of a directory keyed by base name.
+ * @param {string} dirPath - Directory to scan
+ * @returns {Map<string, string>} Base name to file name
+ */
+function listIconFiles(dirPath) {
+    const files = new Map();
+
+    try {
+        const enumerator = Gio.File.new_for_path(dirPath).enumerate_children(
+            'standard::name',
+            Gio.FileQueryInfoFlags.NONE,
+            null
+        );
+
+        let fileInfo;
+        while ((fileInfo = enumerator.next_file(null)) !== null) {
+            const fileName = fileInfo.get_name();
+            const dotIndex = fileName.lastIndexOf('.');
+            if (dotIndex > 0)
+                files.set(fileName.slice(0, dotIndex), fileName);
+        }
+
+        enumerator.close(null);
+    } catch (e) {
+        // Missing directory - no icons
+    }
+
+    return files;
+}
+
+/**
+ * Reads icon files and encodes them as base64, keyed by file name.
+ * @param {string} dirPath - Icon directory
+ * @param {Function} include - Tells whether an icon base name is exported
+ * @returns {Object} File name to base64 contents
+ */
+function encodeIcons(dirPath, include) {
+    const icons = {};
+
+    listIconFiles(dirPath).forEach((fileName, baseName) => {
+        if (!include(baseName))
+            return;
+
+        try {
+            const [, contents] = GLib.file_get_contents(GLib.build_filenamev([dirPath, fileName]));
+            icons[fileName] = GLib.base64_encode(contents);
+        } catch (e) {
+            logError(e, `Failed to export icon ${fileName}`);
+        }
+    });
+
+    return icons;
+}
+
+/**
+ * Writes base64 encoded icons, replacing icons with the same base name.
+ * @param {string} dirPath - Icon directory
+ * @param {Object} icons - File name to base64 contents
+ * @param {Function} include - Tells whether an icon base name is imported
+ */
+function decodeIcons(dirPath, icons, include) {
+    GLib.mkdir_with_parents(dirPath, 0o755);
+    const existingFiles = listIconFiles(dirPath);
+
+    Object.entries(icons ?? {}).forEach(([fileName, data]) => {
+        // Never let a file name from the bundle escape the icon directory
+        if (GLib.path_get_basename(fileName) !== fileName || fileName.startsWith('.'))
+            return;
+
+        // Only write images the menu and the preferences load as icons
+        const dotIndex = fileName.lastIndexOf('.');
+        const baseName = fileName.slice(0, dotIndex);
+        if (dotIndex <= 0 || !ALLOWED_IMAGE_EXTENSIONS.includes(fileName.slice(dotIndex + 1)) ||
+            !include(baseName))
+            return;
+
+        try {
+            // An icon with another extension would shadow the imported one
+            const existingFile = existingFiles.get(baseName);
+            if (existingFile && existingFile !== fileName)
+                Gio.File.new_for_path(GLib.build_filenamev([dirPath, existingFile])).delete(null);
+
+            GLib.file_set_contents(GLib.build_filenamev([dirPath, fileName]), GLib.base64_decode(data));
+        } catch (e) {
+            logError(e, `Failed to import icon ${fileName}`);
+        }
+    });
+}
+
+// -------- Export --------
+
+/**
+ * Writes categories and the custom icons they use to a bundle file.
+ * @param {string} bundlePath - Destination file
+ * @param {Object[]} categories - Categories to export
+ * @param {Object} paths - iconCategoriesDir and iconAppsDir from getDataPaths()
+ */
+export function exportLayoutBundle(bundlePath, categories, { iconCategoriesDir, iconAppsDir }) {
+    const categoryNames = new Set(categories.map(category => category.name));
+
+    const bundle = {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exported: new Date().toISOString(),
+        categories,
+        icons: {
+            categories: encodeIcons(iconCategoriesDir, name => categoryNames.has(name)),
+            // App icons apply wherever the app is listed, so all of them are exported
+            apps: encodeIcons(iconAppsDir, () => true),
+        },
+    };
+
+    GLib.file_set_contents(bundlePath, JSON.stringify(bundle, null, 2));
+}
+
+// -------- Import --------
+
+/**
+ * Reads and validates a bundle file.
+ * @param {string} bundlePath - Bundle file
+ * @returns {Object} Bundle with categories and icons
+ * @throws {Error} If the file isn't a start menu layout bundle
+ */
+export function readLayoutBundle(bundlePath) {
+    const [, contents] = GLib.file_get_contents(bundlePath);
+
+    let bundle;
+    try {
+        bundle = JSON.parse(new TextDecoder().decode(contents));
+    } catch (e) {
+        throw new Error('The file is not valid JSON');
+    }
+
+    if (bundle?.format !== BUNDLE_FORMAT || !Array.isArray(bundle.categories))
+        throw new Error('The file is not a start menu layout');
+
+    if (bundle.version > BUNDLE_VERSION)
+        throw new Error('The layout was exported by a newer version of the extension');
+
+    // Drop invalid categories instead of rejecting the whole layout
+    bundle.categories = bundle.categories.filter(category => {
+        try {
+            validateCategory(category);
+            return true;
+        } catch (e) {
+            log(`Start Menu: skipped category in layout: ${e.message}`);
+            return false;
+        }
+    });
+
+    return bundle;
+}
+
+/**
+ * Lists the apps of a category, including those in its folders.
+ * @param {Object} category - Category object
+ * @returns {Object[]} App objects
+ */
+function getAllCategoryApps(category) {
+    return [
+        ...category.apps,
+        ...(category.folders ?? []).flatMap(folder => folder.apps ?? []),
+    ];
+}
+
+/**
+ * Applies a bundle to the categories. Merging keeps existing categories and
+ * adds the apps of imported categories with the same name; replacing drops
+ * the existing layout first.
+ * @param {Object} bundle - Bundle from readLayoutBundle()
+ * @param {Map<string, Object>} categories - Categories to update, keyed by name
+ * @param {boolean} merge - Merge into instead of replacing the existing layout
+ * @param {Object} paths - iconCategoriesDir and iconAppsDir from getDataPaths()
+ * @returns {{imported: number, missingApps: Object[]}} Number of imported
+ *   categories and the apps of the bundle that aren't installed
+ */
+export function importLayoutBundle(bundle, categories, merge, { iconCategoriesDir, iconAppsDir }) {
+    const existingNames = new Set(merge ? categories.keys() : []);
+
+    if (!merge)
+        categories.clear();
+
+    let maxRank = Math.max(
+        0,
+        ...Array.from(categories.values())
+            .map(category => category.rank)
+            .filter(rank => rank !== null)
+    );
+
+    // Imported categories keep their relative order after the existing ones
+    const importedCategories = [...bundle.categories].sort((a, b) => {
+        if (a.rank === null) return 1;
+        if (b.rank === null) return -1;
+        return a.rank - b.rank;
+    });
+
+    importedCategories.forEach(imported => {
+        const existing = categories.get(imported.name);
+
+        if (!existing) {
+            categories.set(imported.name, {
+                ...imported,
+                rank: imported.rank === null ? null : ++maxRank,
+            });
+            return;
+        }
+
+        // Same category on both sides: append the apps it doesn't list yet,
+        // at the top level or in any of its folders
+        const knownIds = new Set(getAllCategoryApps(existing).map(app => app.id));
+        const appendNewApps = (apps, targetApps) => {
+            apps
+                .filter(app => !knownIds.has(app.id))
+                .forEach(app => {
+                    knownIds.add(app.id);
+                    targetApps.push({ ...app, rank: targetApps.length + 1 });
+                });
+        };
+
+        appendNewApps(imported.apps, existing.apps);
+
+        (imported.folders ?? []).forEach(folder => {
+            const existingFolder = (existing.folders ?? [])
+                .find(candidate => candidate.name === folder.name);
+            if (existingFolder) {
+                appendNewApps(folder.apps, existingFolder.apps);
+                return;
+            }
+
+            const newFolder = { ...folder, apps: [] };
+            appendNewApps(folder.apps, newFolder.apps);
+            if (newFolder.apps.length > 0)
+                existing.folders = [...(existing.folders ?? []), newFolder];
+        });
+    });
+
+    // Keep the icons of categories that already existed when merging
+    decodeIcons(iconCategoriesDir, bundle.icons?.categories, name => !existingNames.has(name));
+    decodeIcons(iconAppsDir, bundle.icons?.apps, () => true);
+
+    const seenIds = new Set();
+    const missingApps = [];
+    bundle.categories.forEach(category => {
+        getAllCategoryApps(category).forEach(app => {
+            if (seenIds.has(app.id))
+                return;
+            seenIds.add(app.id);
+
+            const desktopId = app.id.endsWith('.desktop') ? app.id : `${app.id}.desktop`;
+            if (!Gio.DesktopAppInfo.new(desktopId)?.should_show())
+                missingApps.push({ ...app, category: category.name });
+        });
+    });
+
+    return { imported: bundle.categories.length, missingApps };
+}
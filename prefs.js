@@ -4,31 +4,75 @@ import Gio from 'gi://Gio';
 import Gtk from 'gi://Gtk';
 import Gdk from 'gi://Gdk';
 import GLib from 'gi://GLib';
+import GObject from 'gi://GObject';
 import Pango from 'gi://Pango';
 import Adw from 'gi://Adw';
 import { ExtensionPreferences } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
 
+import { parseCategories, serializeCategories } from './categoriesFile.js';
+import { exportAppFolders, importAppFolders, readAppFolders } from './appFolders.js';
+import { BUNDLE_FILE_EXTENSION, exportLayoutBundle, importLayoutBundle, readLayoutBundle } from './layoutBundle.js';
+import { RULE_FIELDS, clearRulesCache, evaluateRules, hasRules } from './rules.js';
+import {
+    ALLOWED_IMAGE_EXTENSIONS,
+    backupCategoriesFile,
+    ensureUserDataDir,
+    getDataPaths,
+    listCategoriesBackups,
+    writeFileAtomically,
+} from './userData.js';
+
 // -------- Constants --------
 const ALL_APPS_CAT_NAME = 'All apps';
 const SEARCH_APP_CAT_NAME = 'Search app';
-const ALLOWED_IMAGE_EXTENSIONS = ['jpeg', 'jpg', 'png', 'bmp', 'webp', 'ico', 'svg'];
+const MOST_USED_CAT_NAME = 'Most used';
+const FAVORITES_CAT_NAME = 'Favorites';
 
 // UI Constants
 const ICON_SIZE = 40;
 const DEFAULT_MARGIN = 16;
 const MIN_DIALOG_WIDTH = 400;
 const MAX_VISIBLE_ROWS = 10;
+const PANEL_POSITIONS = ['left', 'center', 'right'];
+const MAX_UNDO_STEPS = 30;
+
+// Session actions of the menu footer, in the order they are shown
+const SESSION_ACTIONS = [
+    { id: 'lock', title: 'Lock' },
+    { id: 'logout', title: 'Log Out' },
+    { id: 'suspend', title: 'Suspend' },
+    { id: 'restart', title: 'Restart' },
+    { id: 'power-off', title: 'Power Off' },
+];
+
+// Freedesktop main categories, with the name and themed icon of the generated category
+const MAIN_CATEGORIES = [
+    { keys: ['AudioVideo', 'Audio', 'Video'], name: 'Multimedia', icon: 'applications-multimedia-symbolic' },
+    { keys: ['Development'], name: 'Development', icon: 'applications-engineering-symbolic' },
+    { keys: ['Education'], name: 'Education', icon: 'accessories-dictionary-symbolic' },
+    { keys: ['Game'], name: 'Games', icon: 'applications-games-symbolic' },
+    { keys: ['Graphics'], name: 'Graphics', icon: 'applications-graphics-symbolic' },
+    { keys: ['Network'], name: 'Internet', icon: 'web-browser-symbolic' },
+    { keys: ['Office'], name: 'Office', icon: 'x-office-document-symbolic' },
+    { keys: ['Science'], name: 'Science', icon: 'applications-science-symbolic' },
+    { keys: ['Settings'], name: 'Settings', icon: 'preferences-system-symbolic' },
+    { keys: ['System'], name: 'System Tools', icon: 'applications-system-symbolic' },
+    { keys: ['Utility'], name: 'Accessories', icon: 'applications-utilities-symbolic' },
+];
 
 // -------- Module State --------
 let basePath = null;
-let filesDir = null;
 let categoriesFilePath = null;
+let backupsDir = null;
+let undoDir = null;
 let iconDir = null;
+let bundledIconCategoriesDir = null;
 let iconCategoriesDir = null;
 let iconAppsDir = null;
 let pathCategoryGenericIcon = null;
 
 let allIconCategories = null;
+let bundledIconCategories = null;
 let allIconApps = null;
 
 let categories = new Map();
@@ -38,7 +82,34 @@ let downButton = null;
 let categoryEntry = null;
 let addButton = null;
 let appsListBox = null;
+let appsOrderListBox = null;
 let categoryIcon = null;
+let rulesButton = null;
+let foldersButton = null;
+
+// Rules, excluded apps and folders of the category being edited, saved with it
+let pendingRules = null;
+let pendingExclude = [];
+let pendingFolders = [];
+
+// Problems found in categories.jsonl by the last loadCategories()
+let categoriesLoadErrors = [];
+let categoriesNeedMigration = false;
+
+// Set while categories.jsonl was written by a newer version; the pages
+// editing the categories are disabled so it isn't downgraded
+let categoriesReadOnly = false;
+let readOnlyPages = [];
+
+// Set by buildPrefsWidget() so other pages can show categories they changed
+let refreshGeneralPage = null;
+
+// Layouts before each edit, and icon files copied to undoDir keyed by version
+let prefsWindow = null;
+let undoStack = [];
+let redoStack = [];
+let storedIconFiles = new Map();
+let undoToast = null;
 
 // -------- UI Helper Functions --------
 
@@ -108,6 +179,43 @@ function getAllIcons(folderPath) {
     }
 }
 
+/**
+ * Resolves the icon file for a category, preferring user icons over the
+ * defaults bundled with the extension.
+ * @param {string} categoryName - Category name
+ * @returns {string} Path to the icon file
+ */
+function getCategoryIconPath(categoryName) {
+    if (allIconCategories.has(categoryName)) {
+        return GLib.build_filenamev([
+            iconCategoriesDir,
+            `${categoryName}.${allIconCategories.get(categoryName)}`,
+        ]);
+    }
+
+    if (bundledIconCategories.has(categoryName)) {
+        return GLib.build_filenamev([
+            bundledIconCategoriesDir,
+            `${categoryName}.${bundledIconCategories.get(categoryName)}`,
+        ]);
+    }
+
+    return pathCategoryGenericIcon;
+}
+
+/**
+ * Shows a category's icon in an image: its custom icon file, else the themed
+ * icon named in the category, else the bundled or generic icon.
+ * @param {Gtk.Image} image - Image to update
+ * @param {Object} category - Category object
+ */
+function setCategoryImage(image, category) {
+    if (!allIconCategories.has(category.name) && category.icon)
+        image.set_from_gicon(Gio.ThemedIcon.new_with_default_fallbacks(category.icon));
+    else
+        image.set_from_file(getCategoryIconPath(category.name));
+}
+
 // -------- Category Management --------
 
 /**
@@ -124,16 +232,22 @@ function loadCategories(categoriesMap, callback = null) {
                 if (!success)
                     return;
 
-                const text = new TextDecoder().decode(contents);
-                const lines = text.split('\n').filter(line => line.trim().length > 0);
+                const { categories: loaded, errors, migrated, newerVersion } =
+                    parseCategories(new TextDecoder().decode(contents));
 
                 categoriesMap.clear();
-                lines.forEach(line => {
-                    const category = JSON.parse(line);
-                    categoriesMap.set(category.name, category);
-                });
+                loaded.forEach(category => categoriesMap.set(category.name, category));
+
+                categoriesLoadErrors = errors;
+                categoriesReadOnly = newerVersion;
+
+                // The next save drops the invalid lines, keep them restorable
+                if (errors.length > 0)
+                    backupCategoriesFile({ categoriesFilePath, backupsDir }, true);
+                categoriesNeedMigration = migrated && errors.length === 0;
             } catch (error) {
-                logError(error, 'Failed to load categories.jsonl');
+                if (!error.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND))
+                    logError(error, 'Failed to load categories.jsonl');
             } finally {
                 callback?.();
             }
@@ -145,67 +259,191 @@ function loadCategories(categoriesMap, callback = null) {
 }
 
 /**
- * Saves categories to the categories.jsonl file.
+ * Saves categories to the categories.jsonl file, backing up the previous one.
  */
 function saveCategoriesToFile() {
-    try {
-        const lines = Array.from(categories.values())
-            .map(category => JSON.stringify(category))
-            .join('\n');
-
-        const categoriesFile = Gio.File.new_for_path(categoriesFilePath);
-        const outputStream = categoriesFile.replace(
-            null,
-            false,
-            Gio.FileCreateFlags.NONE,
-            null
-        );
+    // Saving would downgrade the file and drop what this version can't read
+    if (categoriesReadOnly) {
+        log('Start Menu: categories.jsonl is from a newer version, not saved');
+        return;
+    }
 
-        outputStream.write_all(lines + '\n', null);
-        outputStream.close(null);
+    try {
+        backupCategoriesFile({ categoriesFilePath, backupsDir });
+        writeFileAtomically(categoriesFilePath, serializeCategories(categories.values()));
     } catch (error) {
         logError(error, 'Failed to save categories.jsonl');
     }
 }
 
 /**
- * Cleans up categories by removing uninstalled apps and fixing rankings.
+ * Removes uninstalled apps from an app list and fixes the rankings.
+ * @param {Object[]} apps - App objects with id, name and rank
+ * @returns {Object[]|null} Cleaned apps, or null if nothing was removed
+ */
+function removeUninstalledApps(apps) {
+    // Filter out apps that are no longer installed or shouldn't be shown
+    const validApps = apps.filter(app => {
+        const desktopId = app.id.endsWith('.desktop') ? app.id : `${app.id}.desktop`;
+        const appInfo = Gio.DesktopAppInfo.new(desktopId);
+        return appInfo !== null && appInfo.should_show();
+    });
+
+    if (validApps.length === apps.length)
+        return null;
+
+    // Recalculate rankings to ensure they're sequential (1, 2, 3, ...)
+    validApps.sort((a, b) => a.rank - b.rank);
+    validApps.forEach((app, index) => {
+        app.rank = index + 1;
+    });
+
+    return validApps;
+}
+
+/**
+ * Cleans up categories and their folders by removing uninstalled apps and fixing rankings.
  * @returns {boolean} True if any changes were made, false otherwise
  */
 function cleanupCategories() {
     let changesMade = false;
 
-    categories.forEach((category, categoryName) => {
-        // Skip special categories without apps
-        if (!category.apps || category.apps.length === 0)
+    categories.forEach(category => {
+        // Special categories have no apps
+        const validApps = removeUninstalledApps(category.apps ?? []);
+        if (validApps) {
+            category.apps = validApps;
+            changesMade = true;
+        }
+
+        (category.folders ?? []).forEach(folder => {
+            const validFolderApps = removeUninstalledApps(folder.apps);
+            if (validFolderApps) {
+                folder.apps = validFolderApps;
+                changesMade = true;
+            }
+        });
+    });
+
+    return changesMade;
+}
+
+/**
+ * Finds the freedesktop main category of an application, taking the first
+ * one listed in its Categories= key.
+ * @param {Gio.DesktopAppInfo} appInfo - Application info object
+ * @returns {Object|null} Entry of MAIN_CATEGORIES, or null
+ */
+function getMainCategory(appInfo) {
+    const appCategories = (appInfo.get_categories?.() ?? '').split(';');
+
+    for (const key of appCategories) {
+        const mainCategory = MAIN_CATEGORIES.find(entry => entry.keys.includes(key));
+        if (mainCategory)
+            return mainCategory;
+    }
+
+    return null;
+}
+
+/**
+ * Builds categories from the Categories= key of the installed applications.
+ * Generated categories are marked with autoCategory; running it again adds
+ * newly installed apps to them but keeps the user's changes (apps removed
+ * from them are listed in exclude and skipped), and manual categories with
+ * the same name are left alone.
+ * @returns {number} Number of categories created or extended
+ */
+function generateCategoriesFromMetadata() {
+    const appsByCategory = new Map();
+
+    Gio.AppInfo.get_all().forEach(appInfo => {
+        if (!appInfo.should_show())
             return;
 
-        const originalLength = category.apps.length;
+        const mainCategory = getMainCategory(appInfo);
+        if (!mainCategory)
+            return;
 
-        // Filter out apps that are no longer installed or shouldn't be shown
-        const validApps = category.apps.filter(app => {
-            const desktopId = app.id.endsWith('.desktop') ? app.id : `${app.id}.desktop`;
-            const appInfo = Gio.DesktopAppInfo.new(desktopId);
-            return appInfo !== null && appInfo.should_show();
-        });
+        if (!appsByCategory.has(mainCategory))
+            appsByCategory.set(mainCategory, []);
+        appsByCategory.get(mainCategory).push(appInfo);
+    });
 
-        // Check if any apps were removed
-        if (validApps.length !== originalLength) {
-            changesMade = true;
+    let maxRank = Math.max(
+        0,
+        ...Array.from(categories.values())
+            .map(cat => cat.rank)
+            .filter(rank => rank !== null)
+    );
+    let changedCount = 0;
 
-            // Recalculate rankings to ensure they're sequential (1, 2, 3, ...)
-            validApps.sort((a, b) => a.rank - b.rank);
-            validApps.forEach((app, index) => {
-                app.rank = index + 1;
-            });
+    MAIN_CATEGORIES.forEach(mainCategory => {
+        const appInfos = appsByCategory.get(mainCategory);
+        if (!appInfos)
+            return;
 
-            // Update the category
-            category.apps = validApps;
-            categories.set(categoryName, category);
+        let category = categories.get(mainCategory.name);
+        if (category && category.autoCategory !== mainCategory.keys[0])
+            return;
+
+        if (!category) {
+            category = {
+                name: mainCategory.name,
+                rank: ++maxRank,
+                apps: [],
+                icon: mainCategory.icon,
+                autoCategory: mainCategory.keys[0],
+            };
+            categories.set(category.name, category);
         }
+
+        const knownIds = new Set([
+            ...category.apps.map(app => app.id),
+            ...(category.folders ?? []).flatMap(folder => folder.apps.map(app => app.id)),
+            ...(category.exclude ?? []),
+        ]);
+        const newApps = appInfos
+            .filter(appInfo => !knownIds.has(appInfo.get_id()))
+            .sort((a, b) => a.get_display_name().localeCompare(b.get_display_name()));
+
+        if (newApps.length === 0)
+            return;
+
+        newApps.forEach(appInfo => {
+            category.apps.push({
+                id: appInfo.get_id(),
+                name: appInfo.get_display_name(),
+                rank: category.apps.length + 1,
+            });
+        });
+        changedCount++;
     });
 
-    return changesMade;
+    return changedCount;
+}
+
+/**
+ * Lists the apps to keep out of a generated category being updated: those
+ * excluded before and those just removed from it, minus the ones listed
+ * again. Generating the categories again skips them.
+ * @param {Object} oldCategory - Category before the update
+ * @param {Object} newCategory - Updated category
+ * @returns {string[]|undefined} Excluded app IDs, or undefined for none
+ */
+function getGeneratedCategoryExclude(oldCategory, newCategory) {
+    const listedIds = new Set([
+        ...newCategory.apps.map(app => app.id),
+        ...(newCategory.folders ?? []).flatMap(folder => folder.apps.map(app => app.id)),
+    ]);
+    const excludedIds = new Set([
+        // The rules dialog edits the exclusions of smart categories itself
+        ...(newCategory.rules ? newCategory.exclude ?? [] : oldCategory.exclude ?? []),
+        ...oldCategory.apps.map(app => app.id),
+    ]);
+
+    const exclude = Array.from(excludedIds).filter(id => !listedIds.has(id));
+    return exclude.length > 0 ? exclude : undefined;
 }
 
 /**
@@ -229,11 +467,112 @@ function refreshCategoriesListBox() {
     });
 
     for (const category of sortedCategories) {
-        if (category.apps?.length)
+        if (category.apps?.length || hasRules(category) || category.folders?.length)
             fillCategoriesList(category);
     }
 }
 
+/**
+ * Selects the row of a category in the categories list box.
+ * @param {string} categoryName - Name of the category to select
+ */
+function selectCategoryRow(categoryName) {
+    let row = categoriesListBox.get_first_child();
+    while (row) {
+        if (row.category === categoryName) {
+            categoriesListBox.select_row(row);
+            break;
+        }
+        row = row.get_next_sibling();
+    }
+}
+
+/**
+ * Moves a category to the position of another one, shifting the categories
+ * in between.
+ * @param {string} categoryName - Name of the category to move
+ * @param {string} targetName - Name of the category whose position it takes
+ */
+function moveCategoryTo(categoryName, targetName) {
+    try {
+        if (categoryName === targetName)
+            return;
+
+        const rankedCategories = Array.from(categories.values())
+            .filter(cat => cat.rank !== null)
+            .sort((a, b) => a.rank - b.rank);
+
+        const fromIndex = rankedCategories.findIndex(cat => cat.name === categoryName);
+        const toIndex = rankedCategories.findIndex(cat => cat.name === targetName);
+
+        if (fromIndex < 0 || toIndex < 0)
+            return;
+
+        recordUndo('Categories reordered');
+
+        const [movedCategory] = rankedCategories.splice(fromIndex, 1);
+        rankedCategories.splice(toIndex, 0, movedCategory);
+        rankedCategories.forEach((cat, index) => {
+            cat.rank = index + 1;
+        });
+
+        saveCategoriesToFile();
+        refreshCategoriesListBox();
+        selectCategoryRow(categoryName);
+    } catch (e) {
+        logError(e, 'Failed to move category');
+    }
+}
+
+/**
+ * Lets the rows of a list box be reordered with drag-and-drop. Each row is
+ * dragged as the string returned by getRowKey.
+ * @param {Gtk.ListBox} listBox - List box whose rows are reordered
+ * @param {Function} getRowKey - Returns the string identifying a row
+ * @param {Function} onMove - Called with the dragged and target row keys
+ */
+function setupListBoxReordering(listBox, getRowKey, onMove) {
+    const dropTarget = Gtk.DropTarget.new(GObject.TYPE_STRING, Gdk.DragAction.MOVE);
+
+    dropTarget.connect('motion', (_target, _x, y) => {
+        const row = listBox.get_row_at_y(y);
+        if (row)
+            listBox.drag_highlight_row(row);
+        else
+            listBox.drag_unhighlight_row();
+        return Gdk.DragAction.MOVE;
+    });
+    dropTarget.connect('leave', () => listBox.drag_unhighlight_row());
+    dropTarget.connect('drop', (_target, value, _x, y) => {
+        listBox.drag_unhighlight_row();
+
+        const targetRow = listBox.get_row_at_y(y);
+        if (!targetRow)
+            return false;
+
+        onMove(value, getRowKey(targetRow));
+        return true;
+    });
+
+    listBox.add_controller(dropTarget);
+}
+
+/**
+ * Makes a list box row draggable for setupListBoxReordering().
+ * @param {Gtk.ListBoxRow} row - Row to drag
+ * @param {string} key - String identifying the row
+ */
+function makeRowDraggable(row, key) {
+    const dragSource = new Gtk.DragSource({ actions: Gdk.DragAction.MOVE });
+
+    dragSource.connect('prepare', () => Gdk.ContentProvider.new_for_value(key));
+    dragSource.connect('drag-begin', (source, _drag) => {
+        source.set_icon(Gtk.WidgetPaintable.new(row), 0, 0);
+    });
+
+    row.add_controller(dragSource);
+}
+
 /**
  * Moves the selected category up or down in the list.
  * @param {number} delta - Direction to move (-1 for up, +1 for down)
@@ -262,6 +601,8 @@ function moveSelectedCategory(delta) {
         if (currentIndex < 0 || newIndex < 0 || newIndex >= rankedCategories.length)
             return;
 
+        recordUndo('Categories reordered');
+
         // Swap ranks with the target category
         const targetCategory = rankedCategories[newIndex];
         const tempRank = currentCategory.rank;
@@ -270,16 +611,7 @@ function moveSelectedCategory(delta) {
 
         saveCategoriesToFile();
         refreshCategoriesListBox();
-
-        // Restore selection on moved row
-        let row = categoriesListBox.get_first_child();
-        while (row) {
-            if (row.category === categoryName) {
-                categoriesListBox.select_row(row);
-                break;
-            }
-            row = row.get_next_sibling();
-        }
+        selectCategoryRow(categoryName);
     } catch (e) {
         logError(e, 'Failed to move category');
     }
@@ -341,6 +673,117 @@ function fillApplicationsList(appsListBox) {
     appsListBox.show();
 }
 
+/**
+ * Rebuilds the list showing the selected applications in rank order.
+ */
+function refreshAppsOrderList() {
+    if (!appsOrderListBox)
+        return;
+
+    let orderRow = appsOrderListBox.get_first_child();
+    while (orderRow) {
+        const next = orderRow.get_next_sibling();
+        appsOrderListBox.remove(orderRow);
+        orderRow = next;
+    }
+
+    const selectedRows = appsListBox.get_selected_rows()
+        .filter(row => row.selectionRank > 0)
+        .sort((a, b) => a.selectionRank - b.selectionRank);
+
+    selectedRows.forEach(appRow => {
+        const row = new Gtk.ListBoxRow({ activatable: false });
+        row.appId = appRow.id;
+
+        const box = createHorizontalBox();
+        box.append(new Gtk.Image({ icon_name: 'list-drag-handle-symbolic' }));
+
+        const icon = createIconImage(24);
+        const appIcon = appRow.get_child().get_first_child();
+        if (appIcon.get_storage_type() === Gtk.ImageType.GICON)
+            icon.set_from_gicon(appIcon.get_gicon());
+        else
+            icon.set_from_paintable(appIcon.get_paintable());
+        box.append(icon);
+
+        const label = new Gtk.Label({ label: appRow.name, xalign: 0, hexpand: true });
+        box.append(label);
+
+        const rankLabel = new Gtk.Label({ label: String(appRow.selectionRank), xalign: 1 });
+        rankLabel.get_style_context().add_class('padding-label');
+        box.append(rankLabel);
+
+        row.set_child(box);
+        row.get_style_context().add_class('custom-row');
+        makeRowDraggable(row, appRow.id);
+        appsOrderListBox.append(row);
+    });
+
+    appsOrderListBox.set_visible(selectedRows.length > 0);
+}
+
+/**
+ * Moves a selected application to the rank of another selected application.
+ * The new ranks of an existing category are saved right away.
+ * @param {string} appId - ID of the application to move
+ * @param {string} targetId - ID of the application whose rank it takes
+ */
+function moveSelectedApp(appId, targetId) {
+    if (appId === targetId)
+        return;
+
+    const selectedRows = appsListBox.get_selected_rows()
+        .filter(row => row.selectionRank > 0)
+        .sort((a, b) => a.selectionRank - b.selectionRank);
+
+    const fromIndex = selectedRows.findIndex(row => row.id === appId);
+    const toIndex = selectedRows.findIndex(row => row.id === targetId);
+
+    if (fromIndex < 0 || toIndex < 0)
+        return;
+
+    const [movedRow] = selectedRows.splice(fromIndex, 1);
+    selectedRows.splice(toIndex, 0, movedRow);
+    selectedRows.forEach((row, index) => {
+        row.selectionRank = index + 1;
+        row.get_child().get_last_child().set_label(String(row.selectionRank));
+    });
+
+    refreshAppsOrderList();
+    saveAppOrder(selectedRows);
+}
+
+/**
+ * Saves the order of the selected apps right away when the category being
+ * edited already exists, like reordered categories. Apps it doesn't list
+ * yet are only added with "Update Category".
+ * @param {Gtk.ListBoxRow[]} selectedRows - Selected app rows in their new order
+ */
+function saveAppOrder(selectedRows) {
+    try {
+        const category = categories.get(categoriesListBox.get_selected_row()?.category);
+        const newRanks = new Map(selectedRows.map(row => [row.id, row.selectionRank]));
+        if (!category || !category.apps.some(app => newRanks.has(app.id)))
+            return;
+
+        recordUndo(`Apps of “${category.name}” reordered`);
+
+        // Apps that were unchecked but not saved yet keep their place after the others
+        category.apps
+            .sort((a, b) =>
+                (newRanks.get(a.id) ?? Number.MAX_SAFE_INTEGER) - (newRanks.get(b.id) ?? Number.MAX_SAFE_INTEGER) ||
+                a.rank - b.rank
+            )
+            .forEach((app, index) => {
+                app.rank = index + 1;
+            });
+
+        saveCategoriesToFile();
+    } catch (e) {
+        logError(e, 'Failed to save the app order');
+    }
+}
+
 /**
  * Clears the selection in the applications list box.
  * @param {Gtk.ListBox} appsListBox - The list box to clear
@@ -353,6 +796,8 @@ function initializeAppsList(appsListBox) {
         row.get_child().get_last_child().set_label('');
         appsListBox.unselect_row(row);
     });
+
+    refreshAppsOrderList();
 }
 
 /**
@@ -367,14 +812,8 @@ function fillCategoriesList(category, pos = -1) {
     const box = createHorizontalBox();
     box.set_hexpand(false);
 
-    const iconPath = allIconCategories.has(category.name)
-        ? GLib.build_filenamev([
-            iconCategoriesDir,
-            `${category.name}.${allIconCategories.get(category.name)}`,
-        ])
-        : pathCategoryGenericIcon;
-
-    const rowIcon = createIconImage(ICON_SIZE, iconPath);
+    const rowIcon = createIconImage(ICON_SIZE);
+    setCategoryImage(rowIcon, category);
     box.append(rowIcon);
 
     const categoryLabel = new Gtk.Label({
@@ -382,9 +821,14 @@ function fillCategoriesList(category, pos = -1) {
         ellipsize: Pango.EllipsizeMode.END,
     });
     const apps = category.apps;
-    const appNames = apps.map(app => app.name).join(', ');
+    const appNames = apps.map(app => app.name);
+    appNames.unshift(...(category.folders ?? []).map(folder =>
+        `<i>${GLib.markup_escape_text(folder.name, -1)}/</i>`
+    ));
+    if (hasRules(category))
+        appNames.push(`<i>${describeRules(category.rules)}</i>`);
     categoryLabel.set_markup(
-        `<span font_desc="20px"><b>${category.name}</b></span>: ${appNames}`
+        `<span font_desc="20px"><b>${category.name}</b></span>: ${appNames.join(', ')}`
     );
     categoryLabel.set_hexpand(true);
     box.append(categoryLabel);
@@ -401,6 +845,8 @@ function fillCategoriesList(category, pos = -1) {
     closeButton.set_child(Gtk.Image.new_from_file(closeIconPath));
     closeButton.get_style_context().add_class('close-button');
     closeButton.connect('clicked', () => {
+        recordUndo(`Category “${category.name}” deleted`);
+
         // Check if this category is currently selected before deleting
         const selectedRow = categoriesListBox.get_selected_row();
         const isSelectedCategory = selectedRow && selectedRow.category === category.name;
@@ -422,6 +868,7 @@ function fillCategoriesList(category, pos = -1) {
             if (appsListBox) {
                 initializeAppsList(appsListBox);
             }
+            setPendingEdits(null);
         }
 
         categories.delete(category.name);
@@ -470,6 +917,7 @@ function fillCategoriesList(category, pos = -1) {
 
     row.set_child(box);
     row.get_style_context().add_class('custom-row');
+    makeRowDraggable(row, category.name);
     categoriesListBox.insert(row, pos);
     categoriesListBox.show();
 }
@@ -486,9 +934,12 @@ function buildPrefsWidget() {
     categoryEntry = builder.get_object('category_entry');
     const appEntry = builder.get_object('search_app');
     appsListBox = builder.get_object('applications_list');
+    appsOrderListBox = builder.get_object('applications_order_list');
     const appsScrolledList = builder.get_object('applications_list_scroll');
     const catScrolledList = builder.get_object('categories_list_scroll');
     addButton = builder.get_object('add_category_button');
+    rulesButton = builder.get_object('category_rules_button');
+    foldersButton = builder.get_object('category_folders_button');
     categoriesListBox = builder.get_object('categories_list_box');
     upButton = builder.get_object('up_arrow');
     downButton = builder.get_object('down_arrow');
@@ -516,22 +967,29 @@ function buildPrefsWidget() {
         pathCategoryGenericIcon
     );
 
-    const allAppsIconPath = GLib.build_filenamev([
-        iconCategoriesDir,
-        `${ALL_APPS_CAT_NAME}.${allIconCategories.get(ALL_APPS_CAT_NAME)}`,
-    ]);
-    const searchAppIconPath = GLib.build_filenamev([
-        iconCategoriesDir,
-        `${SEARCH_APP_CAT_NAME}.${allIconCategories.get(SEARCH_APP_CAT_NAME)}`,
-    ]);
-
-    const allAppsIcon = setupIconButton('all_apps_icon', 'all_apps_button', allAppsIconPath);
-    const searchAppIcon = setupIconButton('search_app_icon', 'search_app_button', searchAppIconPath);
-
-    const allAppsCheckbox = builder.get_object('all_apps_checkbox');
-    const searchAppCheckbox = builder.get_object('search_app_checkbox');
+    // Built-in categories toggled with a checkbox, each with its own icon button
+    const builtinToggles = [
+        { prefix: 'all_apps', name: ALL_APPS_CAT_NAME },
+        { prefix: 'search_app', name: SEARCH_APP_CAT_NAME },
+        { prefix: 'most_used', name: MOST_USED_CAT_NAME },
+        { prefix: 'favorites', name: FAVORITES_CAT_NAME },
+    ];
+
+    builtinToggles.forEach(toggle => {
+        toggle.icon = setupIconButton(
+            `${toggle.prefix}_icon`,
+            `${toggle.prefix}_button`,
+            getCategoryIconPath(toggle.name)
+        );
+        toggle.checkbox = builder.get_object(`${toggle.prefix}_checkbox`);
+    });
 
     function handleCheckboxToggle(checkbox, icon, categoryName) {
+        // Also emitted when the checkbox is synced to the categories
+        if (checkbox.get_active() === categories.has(categoryName))
+            return;
+
+        recordUndo(`“${categoryName}” ${checkbox.get_active() ? 'shown' : 'hidden'}`);
         if (checkbox.get_active()) {
             const category = { name: categoryName, rank: null, apps: [] };
             if (icon.path !== '')
@@ -545,13 +1003,6 @@ function buildPrefsWidget() {
         refreshCategoriesListBox();
     }
 
-    allAppsCheckbox.connect('toggled', () =>
-        handleCheckboxToggle(allAppsCheckbox, allAppsIcon, ALL_APPS_CAT_NAME)
-    );
-    searchAppCheckbox.connect('toggled', () =>
-        handleCheckboxToggle(searchAppCheckbox, searchAppIcon, SEARCH_APP_CAT_NAME)
-    );
-
     function createClickableLabel(labelId, checkbox, icon, categoryName) {
         const label = builder.get_object(labelId);
         label.set_can_focus(true);
@@ -559,6 +1010,7 @@ function buildPrefsWidget() {
 
         const clickGesture = Gtk.GestureClick.new();
         clickGesture.connect('pressed', () => {
+            recordUndo(`“${categoryName}” ${checkbox.active ? 'hidden' : 'shown'}`);
             if (checkbox.active) {
                 icon.path = '';
                 categories.delete(categoryName);
@@ -575,13 +1027,41 @@ function buildPrefsWidget() {
         label.add_controller(clickGesture);
     }
 
-    createClickableLabel('all_apps_label', allAppsCheckbox, allAppsIcon, ALL_APPS_CAT_NAME);
-    createClickableLabel('search_app_label', searchAppCheckbox, searchAppIcon, SEARCH_APP_CAT_NAME);
+    builtinToggles.forEach(({ prefix, name, icon, checkbox }) => {
+        checkbox.connect('toggled', () => handleCheckboxToggle(checkbox, icon, name));
+        createClickableLabel(`${prefix}_label`, checkbox, icon, name);
+    });
 
     // Initial list population
     refreshCategoriesListBox();
-    allAppsCheckbox.active = categories.has(ALL_APPS_CAT_NAME);
-    searchAppCheckbox.active = categories.has(SEARCH_APP_CAT_NAME);
+    builtinToggles.forEach(({ name, checkbox }) => {
+        checkbox.active = categories.has(name);
+    });
+
+    refreshGeneralPage = () => {
+        allIconCategories = getAllIcons(iconCategoriesDir) || new Map();
+        allIconApps = getAllIcons(iconAppsDir) || new Map();
+
+        categoryEntry.set_text('');
+        addButton.set_label('Add Category');
+        categoryIcon.set_from_file(pathCategoryGenericIcon);
+        categoryIcon.path = '';
+
+        // App names and icons may have changed too
+        let row = appsListBox.get_first_child();
+        while (row) {
+            const next = row.get_next_sibling();
+            appsListBox.remove(row);
+            row = next;
+        }
+        fillApplicationsList(appsListBox);
+        refreshAppsOrderList();
+
+        refreshCategoriesListBox();
+        builtinToggles.forEach(({ name, checkbox }) => {
+            checkbox.active = categories.has(name);
+        });
+    };
 
     appsListBox.set_sort_func((a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase()));
     fillApplicationsList(appsListBox);
@@ -596,13 +1076,22 @@ function buildPrefsWidget() {
     categoryEntry.connect('changed', () => {
         const hasText = categoryEntry.text.trim().length > 0;
         appsListBox.set_sensitive(hasText);
-        addButton.set_sensitive(hasText && appsListBox.get_selected_rows().length > 0);
+        rulesButton.set_sensitive(hasText);
+        foldersButton.set_sensitive(hasText);
+        addButton.set_sensitive(hasText && (appsListBox.get_selected_rows().length > 0 || hasPendingAppSources()));
         if (!hasText) {
             initializeAppsList(appsListBox);
+            setPendingEdits(null);
             addButton.set_sensitive(false);
         }
     });
 
+    const onPendingEditsSaved = () => {
+        addButton.set_sensitive(appsListBox.get_selected_rows().length > 0 || hasPendingAppSources());
+    };
+    rulesButton.connect('clicked', () => showRulesDialog(rulesButton.get_root(), onPendingEditsSaved));
+    foldersButton.connect('clicked', () => showFoldersDialog(foldersButton.get_root(), onPendingEditsSaved));
+
     appEntry.connect('changed', () => {
         const re = new RegExp(appEntry.text.trim(), 'i');
         let app = appsListBox.get_first_child();
@@ -631,7 +1120,8 @@ function buildPrefsWidget() {
             row.get_child().get_last_child().set_label('');
             listBox.unselect_row(row);
         }
-        addButton.set_sensitive(listBox.get_sensitive() && selectedCount > 0);
+        addButton.set_sensitive(listBox.get_sensitive() && (selectedCount > 0 || hasPendingAppSources()));
+        refreshAppsOrderList();
     });
 
     categoriesListBox.connect('row-activated', (listBox, row) => {
@@ -648,8 +1138,10 @@ function buildPrefsWidget() {
             addButton.set_sensitive(false);
             categoryIcon.set_from_file(pathCategoryGenericIcon);
             categoryIcon.path = '';
+            setPendingEdits(null);
         } else {
             categoryEntry.set_text(`${category.name}`);
+            setPendingEdits(category);
             const selectedApps = category.apps;
             selectedApps.forEach(sel => {
                 let ra = appsListBox.get_first_child();
@@ -671,20 +1163,39 @@ function buildPrefsWidget() {
                 categoryIcon.set_from_file(iconPath);
                 // Don't set categoryIcon.path here - it should only be set when user selects a NEW icon
             } else {
-                // Ensure we visibly fall back to the generic icon
-                categoryIcon.set_from_file(pathCategoryGenericIcon);
+                // Ensure we visibly fall back to the themed or generic icon
+                setCategoryImage(categoryIcon, category);
                 categoryIcon.path = '';
             }
             addButton.set_sensitive(true);
             addButton.set_label('Update Category');
+            refreshAppsOrderList();
         }
     });
 
+    const generateButton = builder.get_object('generate_categories_button');
+    generateButton.connect('clicked', () => {
+        const layout = captureLayout();
+        if (generateCategoriesFromMetadata() === 0)
+            return;
+
+        pushUndoStep('Categories generated', layout);
+        saveCategoriesToFile();
+        refreshCategoriesListBox();
+    });
+
     upButton.connect('clicked',   () => moveSelectedCategory(-1));
     downButton.connect('clicked', () => moveSelectedCategory(+1));
 
+    // Drag-and-drop reordering of categories and of the apps of a category
+    setupListBoxReordering(categoriesListBox, row => row.category, moveCategoryTo);
+    setupListBoxReordering(appsOrderListBox, row => row.appId, moveSelectedApp);
+
     addButton.connect('clicked', () => {
         try {
+            const isUpdating = addButton.get_label() === 'Update Category';
+            recordUndo(`Category “${categoryEntry.text.trim()}” ${isUpdating ? 'updated' : 'added'}`);
+
             const apps = [];
             const selectedRows = appsListBox.get_selected_rows();
             selectedRows.forEach(row => {
@@ -696,22 +1207,36 @@ function buildPrefsWidget() {
             });
             apps.sort((a, b) => a.rank - b.rank);
 
-            const newCategory = { name: categoryEntry.text.trim(), apps };
+            const newCategory = {
+                name: categoryEntry.text.trim(),
+                apps,
+                rules: hasPendingRules() ? pendingRules : undefined,
+                exclude: hasPendingRules() && pendingExclude.length > 0 ? pendingExclude : undefined,
+                folders: pendingFolders.length > 0 ? pendingFolders : undefined,
+            };
             const selectedRow = categoriesListBox.get_selected_row();
             let insertPosition = -1;
             let oldCategoryName = '';
 
             // Check if this is an update based on button label (more reliable than selectedRow)
             // The button label changes to "Update Category" when a category is selected
-            const isUpdate = addButton.get_label() === 'Update Category' && selectedRow !== null;
+            const isUpdate = isUpdating && selectedRow !== null;
 
             if (isUpdate) {
                 oldCategoryName = selectedRow.category;
                 const categoryArray = Array.from(categories.keys());
                 insertPosition = categoryArray.indexOf(oldCategoryName);
-                // Keep the existing rank for updates
+                // Keep the existing rank and any other properties (e.g. themed icon) for updates
                 const oldCategory = categories.get(oldCategoryName);
                 newCategory.rank = oldCategory?.rank ?? 1;
+                Object.keys(oldCategory ?? {})
+                    .filter(key => !(key in newCategory))
+                    .forEach(key => {
+                        newCategory[key] = oldCategory[key];
+                    });
+
+                if (oldCategory?.autoCategory)
+                    newCategory.exclude = getGeneratedCategoryExclude(oldCategory, newCategory);
             } else {
                 // New category - assign next available rank
                 const maxRank = Math.max(
@@ -779,6 +1304,7 @@ function buildPrefsWidget() {
 
             categoryEntry.set_text('');
             appEntry.set_text('');
+            setPendingEdits(null);
             refreshCategoriesListBox();
         } catch (e) {
             logError(e, 'Failed to add/update category');
@@ -816,44 +1342,568 @@ function buildPrefsWidget() {
     return prefsWidget;
 }
 
-// -------- Image Selection --------
+// -------- Smart Category Rules --------
 
 /**
- * Opens a file chooser dialog to select an image file.
- * @param {Gtk.Image} icon - The icon widget to update with the selected image
+ * Loads the rules, excluded apps and folders of a category for editing.
+ * @param {Object|null} category - Category being edited, or null to clear
  */
-function selectImage(icon) {
-    const fileChooser = new Gtk.FileChooserDialog({
-        title: 'Select an Image',
-        action: Gtk.FileChooserAction.OPEN,
-        modal: true,
-    });
+function setPendingEdits(category) {
+    pendingRules = hasRules(category) ? structuredClone(category.rules) : null;
+    pendingExclude = hasRules(category) ? [...(category.exclude ?? [])] : [];
+    pendingFolders = structuredClone(category?.folders ?? []);
+    updateRulesButton();
+    updateFoldersButton();
+}
 
-    fileChooser.add_button('_Cancel', Gtk.ResponseType.CANCEL);
-    fileChooser.add_button('_Open', Gtk.ResponseType.ACCEPT);
+/**
+ * Tells whether the category being edited gets apps from rules or folders,
+ * so it can be saved without directly selected apps.
+ * @returns {boolean} True if rules or folders are pending
+ */
+function hasPendingAppSources() {
+    return hasPendingRules() || pendingFolders.length > 0;
+}
 
-    const imageFilter = new Gtk.FileFilter();
-    imageFilter.set_name('Image Files');
-    ALLOWED_IMAGE_EXTENSIONS.forEach(ext => {
-        imageFilter.add_mime_type(`image/${ext}`);
-        imageFilter.add_pattern(`*.${ext}`);
-    });
-    fileChooser.set_filter(imageFilter);
+/**
+ * Tells whether the category being edited has rules.
+ * @returns {boolean} True if rules with at least one condition are pending
+ */
+function hasPendingRules() {
+    return hasRules({ rules: pendingRules });
+}
 
-    fileChooser.connect('response', (dialog, responseId) => {
-        if (responseId === Gtk.ResponseType.ACCEPT) {
-            const file = fileChooser.get_file();
-            if (file) {
-                const filePath = file.get_path();
-                const extension = filePath.split('.').pop().toLowerCase();
-                if (ALLOWED_IMAGE_EXTENSIONS.includes(extension)) {
-                    icon.path = filePath;
-                    icon.set_from_file(filePath);
-                }
-            }
-        }
-        dialog.close();
-        dialog.destroy();
+/**
+ * Shows the number of pending conditions on the rules button.
+ */
+function updateRulesButton() {
+    if (!rulesButton)
+        return;
+
+    const count = pendingRules?.conditions?.length ?? 0;
+    rulesButton.set_label(count > 0 ? `Rules (${count})…` : 'Rules…');
+}
+
+/**
+ * Summarizes rules for the categories list, e.g. "Category is Game or Name matches ^Steam".
+ * @param {Object} rules - Rules with match and conditions
+ * @returns {string} Escaped summary
+ */
+function describeRules(rules) {
+    const separator = rules.match === 'any' ? ' or ' : ' and ';
+
+    return rules.conditions
+        .map(({ field, pattern }) => {
+            const label = RULE_FIELDS.find(ruleField => ruleField.id === field)?.label ?? field;
+            return GLib.markup_escape_text(`${label}: ${pattern}`, -1);
+        })
+        .join(separator);
+}
+
+/**
+ * Opens the rule editor for the category being edited. Matching apps are
+ * previewed live and can be unchecked to exclude them.
+ * @param {Gtk.Window} parent - Parent window
+ * @param {Function} onSaved - Called after the pending rules changed
+ */
+function showRulesDialog(parent, onSaved) {
+    const allApps = Gio.AppInfo.get_all();
+    const excludedIds = new Set(pendingExclude);
+    const conditionRows = [];
+
+    clearRulesCache();
+
+    const dialog = new Gtk.Dialog({
+        transient_for: parent,
+        modal: true,
+        title: 'Smart Category Rules',
+        default_height: 560,
+    });
+    dialog.add_button('_Cancel', Gtk.ResponseType.CANCEL);
+    if (hasPendingRules())
+        dialog.add_button('_Remove Rules', Gtk.ResponseType.REJECT);
+    dialog.add_button('_Save', Gtk.ResponseType.OK);
+
+    const contentBox = dialog.get_content_area();
+    const box = new Gtk.Box({
+        orientation: Gtk.Orientation.VERTICAL,
+        spacing: 8,
+        margin_top: DEFAULT_MARGIN,
+        margin_bottom: DEFAULT_MARGIN,
+        margin_start: DEFAULT_MARGIN,
+        margin_end: DEFAULT_MARGIN,
+        vexpand: true,
+    });
+    box.set_size_request(MIN_DIALOG_WIDTH * 1.5, -1);
+
+    const matchBox = createHorizontalBox();
+    matchBox.append(new Gtk.Label({ label: 'Include apps matching', xalign: 0 }));
+    const matchDropDown = Gtk.DropDown.new_from_strings(['all conditions', 'any condition']);
+    matchDropDown.set_selected(pendingRules?.match === 'any' ? 1 : 0);
+    matchBox.append(matchDropDown);
+    box.append(matchBox);
+
+    const conditionsBox = new Gtk.Box({ orientation: Gtk.Orientation.VERTICAL, spacing: 4 });
+    box.append(conditionsBox);
+
+    const addConditionButton = new Gtk.Button({ label: 'Add Condition', halign: Gtk.Align.START });
+    box.append(addConditionButton);
+
+    const previewLabel = new Gtk.Label({ xalign: 0 });
+    previewLabel.get_style_context().add_class('custom-title');
+    box.append(previewLabel);
+
+    const previewListBox = new Gtk.ListBox({ selection_mode: Gtk.SelectionMode.NONE });
+    const previewScroll = new Gtk.ScrolledWindow({
+        hscrollbar_policy: Gtk.PolicyType.NEVER,
+        vexpand: true,
+        child: previewListBox,
+    });
+    box.append(previewScroll);
+    contentBox.append(box);
+
+    const collectRules = () => ({
+        match: matchDropDown.get_selected() === 1 ? 'any' : 'all',
+        conditions: conditionRows
+            .map(({ fieldDropDown, entry }) => ({
+                field: RULE_FIELDS[fieldDropDown.get_selected()].id,
+                pattern: entry.get_text().trim(),
+            }))
+            .filter(condition => condition.pattern.length > 0),
+    });
+
+    const updatePreview = () => {
+        let row = previewListBox.get_first_child();
+        while (row) {
+            const next = row.get_next_sibling();
+            previewListBox.remove(row);
+            row = next;
+        }
+
+        const matches = evaluateRules(collectRules(), allApps);
+        const updateCount = () => {
+            const includedCount = matches.filter(appInfo => !excludedIds.has(appInfo.get_id())).length;
+            previewLabel.set_label(`Matching apps: ${includedCount} (uncheck to exclude)`);
+        };
+        updateCount();
+
+        matches.forEach(appInfo => {
+            const appId = appInfo.get_id();
+            const rowBox = createHorizontalBox();
+
+            const checkButton = new Gtk.CheckButton({ active: !excludedIds.has(appId) });
+            checkButton.connect('toggled', () => {
+                if (checkButton.get_active())
+                    excludedIds.delete(appId);
+                else
+                    excludedIds.add(appId);
+                updateCount();
+            });
+            rowBox.append(checkButton);
+
+            const appIcon = createIconImage(24);
+            if (appInfo.get_icon())
+                appIcon.set_from_gicon(appInfo.get_icon());
+            rowBox.append(appIcon);
+            rowBox.append(new Gtk.Label({ label: appInfo.get_display_name(), xalign: 0 }));
+
+            previewListBox.append(new Gtk.ListBoxRow({ child: rowBox, activatable: false }));
+        });
+    };
+
+    const addConditionRow = (condition = { field: 'categories', pattern: '' }) => {
+        const rowBox = createHorizontalBox(4);
+
+        const fieldDropDown = Gtk.DropDown.new_from_strings(RULE_FIELDS.map(field => field.label));
+        fieldDropDown.set_selected(Math.max(0, RULE_FIELDS.findIndex(field => field.id === condition.field)));
+        rowBox.append(fieldDropDown);
+
+        const entry = new Gtk.Entry({ hexpand: true, text: condition.pattern });
+        const updateHint = () => {
+            entry.set_placeholder_text(RULE_FIELDS[fieldDropDown.get_selected()].hint);
+        };
+        updateHint();
+        rowBox.append(entry);
+
+        const removeButton = new Gtk.Button({
+            icon_name: 'list-remove-symbolic',
+            tooltip_text: 'Remove condition',
+        });
+        rowBox.append(removeButton);
+
+        const conditionRow = { fieldDropDown, entry };
+        conditionRows.push(conditionRow);
+        conditionsBox.append(rowBox);
+
+        fieldDropDown.connect('notify::selected', () => {
+            updateHint();
+            updatePreview();
+        });
+        entry.connect('changed', updatePreview);
+        removeButton.connect('clicked', () => {
+            conditionRows.splice(conditionRows.indexOf(conditionRow), 1);
+            conditionsBox.remove(rowBox);
+            updatePreview();
+        });
+
+        return entry;
+    };
+
+    (pendingRules?.conditions ?? []).forEach(condition => addConditionRow(condition));
+    if (conditionRows.length === 0)
+        addConditionRow();
+
+    matchDropDown.connect('notify::selected', updatePreview);
+    addConditionButton.connect('clicked', () => addConditionRow().grab_focus());
+    updatePreview();
+
+    dialog.connect('response', (_d, response) => {
+        if (response === Gtk.ResponseType.OK) {
+            const rules = collectRules();
+            pendingRules = rules.conditions.length > 0 ? rules : null;
+            pendingExclude = pendingRules ? Array.from(excludedIds) : [];
+        } else if (response === Gtk.ResponseType.REJECT) {
+            pendingRules = null;
+            pendingExclude = [];
+        }
+
+        if (response === Gtk.ResponseType.OK || response === Gtk.ResponseType.REJECT) {
+            updateRulesButton();
+            onSaved();
+        }
+
+        dialog.destroy();
+    });
+
+    dialog.show();
+}
+
+// -------- Sub-Category Folders --------
+
+/**
+ * Shows the number of pending folders on the folders button.
+ */
+function updateFoldersButton() {
+    if (!foldersButton)
+        return;
+
+    foldersButton.set_label(pendingFolders.length > 0 ? `Folders (${pendingFolders.length})…` : 'Folders…');
+}
+
+/**
+ * Opens the folder editor for the category being edited. Folders are listed
+ * on the left and can be reordered by dragging; the apps of the selected
+ * folder are checked on the right, in the order they are listed in the menu.
+ * @param {Gtk.Window} parent - Parent window
+ * @param {Function} onSaved - Called after the pending folders changed
+ */
+function showFoldersDialog(parent, onSaved) {
+    const folders = structuredClone(pendingFolders);
+    const allApps = Gio.AppInfo.get_all()
+        .filter(appInfo => appInfo.should_show())
+        .sort((a, b) => a.get_display_name().localeCompare(b.get_display_name()));
+    let selectedFolder = null;
+
+    // Keep names customized in the apps list
+    const appNames = new Map();
+    let appRow = appsListBox.get_first_child();
+    while (appRow) {
+        appNames.set(appRow.id, appRow.name);
+        appRow = appRow.get_next_sibling();
+    }
+
+    const dialog = new Gtk.Dialog({
+        transient_for: parent,
+        modal: true,
+        title: 'Category Folders',
+        default_height: 560,
+    });
+    dialog.add_button('_Cancel', Gtk.ResponseType.CANCEL);
+    dialog.add_button('_Save', Gtk.ResponseType.OK);
+
+    const box = createHorizontalBox(DEFAULT_MARGIN);
+    box.set_margin_top(DEFAULT_MARGIN);
+    box.set_margin_bottom(DEFAULT_MARGIN);
+    box.set_margin_start(DEFAULT_MARGIN);
+    box.set_margin_end(DEFAULT_MARGIN);
+    box.set_vexpand(true);
+    box.set_size_request(MIN_DIALOG_WIDTH * 1.5, -1);
+
+    // Folder list
+    const foldersColumn = new Gtk.Box({ orientation: Gtk.Orientation.VERTICAL, spacing: 8 });
+    const foldersListBox = new Gtk.ListBox({ selection_mode: Gtk.SelectionMode.SINGLE });
+    foldersColumn.append(new Gtk.ScrolledWindow({
+        hscrollbar_policy: Gtk.PolicyType.NEVER,
+        vexpand: true,
+        min_content_width: 180,
+        child: foldersListBox,
+    }));
+
+    const newFolderEntry = new Gtk.Entry({ placeholder_text: 'New folder name...' });
+    const addFolderButton = new Gtk.Button({ label: 'Add Folder', sensitive: false });
+    foldersColumn.append(newFolderEntry);
+    foldersColumn.append(addFolderButton);
+    box.append(foldersColumn);
+
+    // Apps of the selected folder
+    const appsColumn = new Gtk.Box({
+        orientation: Gtk.Orientation.VERTICAL,
+        spacing: 8,
+        hexpand: true,
+        sensitive: false,
+    });
+    const folderNameEntry = new Gtk.Entry({ placeholder_text: 'Folder name...' });
+    const filterEntry = new Gtk.SearchEntry({ placeholder_text: 'Search app...' });
+    const folderAppsListBox = new Gtk.ListBox({ selection_mode: Gtk.SelectionMode.NONE });
+    appsColumn.append(folderNameEntry);
+    appsColumn.append(filterEntry);
+    appsColumn.append(new Gtk.ScrolledWindow({
+        hscrollbar_policy: Gtk.PolicyType.NEVER,
+        vexpand: true,
+        child: folderAppsListBox,
+    }));
+    box.append(appsColumn);
+    dialog.get_content_area().append(box);
+
+    const isFolderNameFree = (name, except = null) =>
+        name.length > 0 && !folders.some(folder => folder !== except && folder.name === name);
+
+    const refreshFoldersList = () => {
+        let row = foldersListBox.get_first_child();
+        while (row) {
+            const next = row.get_next_sibling();
+            foldersListBox.remove(row);
+            row = next;
+        }
+
+        folders.forEach(folder => {
+            const rowBox = createHorizontalBox(4);
+            rowBox.append(new Gtk.Image({ icon_name: 'list-drag-handle-symbolic' }));
+            rowBox.append(new Gtk.Image({ icon_name: 'folder-symbolic' }));
+            const nameLabel = new Gtk.Label({
+                label: folder.name,
+                xalign: 0,
+                hexpand: true,
+                ellipsize: Pango.EllipsizeMode.END,
+            });
+            rowBox.append(nameLabel);
+
+            const countLabel = new Gtk.Label({ label: String(folder.apps.length), xalign: 1 });
+            countLabel.get_style_context().add_class('padding-label');
+            rowBox.append(countLabel);
+
+            const removeButton = new Gtk.Button({
+                icon_name: 'list-remove-symbolic',
+                tooltip_text: 'Remove folder',
+            });
+            removeButton.connect('clicked', () => {
+                folders.splice(folders.indexOf(folder), 1);
+                if (selectedFolder === folder)
+                    selectFolder(null);
+                refreshFoldersList();
+            });
+            rowBox.append(removeButton);
+
+            const row = new Gtk.ListBoxRow({ child: rowBox });
+            row.folder = folder;
+            row.nameLabel = nameLabel;
+            row.countLabel = countLabel;
+            row.get_style_context().add_class('custom-row');
+            makeRowDraggable(row, folder.name);
+            foldersListBox.append(row);
+
+            if (folder === selectedFolder)
+                foldersListBox.select_row(row);
+        });
+    };
+
+    const updateFolderCount = () => {
+        let row = foldersListBox.get_first_child();
+        while (row) {
+            if (row.folder === selectedFolder)
+                row.countLabel.set_label(String(selectedFolder.apps.length));
+            row = row.get_next_sibling();
+        }
+    };
+
+    const fillFolderApps = () => {
+        let row = folderAppsListBox.get_first_child();
+        while (row) {
+            const next = row.get_next_sibling();
+            folderAppsListBox.remove(row);
+            row = next;
+        }
+
+        if (!selectedFolder)
+            return;
+
+        allApps.forEach(appInfo => {
+            const appId = appInfo.get_id();
+            const name = appNames.get(appId) ?? appInfo.get_display_name();
+            const rowBox = createHorizontalBox();
+
+            const rankLabel = new Gtk.Label({ xalign: 1, hexpand: true });
+            rankLabel.get_style_context().add_class('padding-label');
+            const updateRank = () => {
+                const app = selectedFolder.apps.find(folderApp => folderApp.id === appId);
+                rankLabel.set_label(app ? String(app.rank) : '');
+            };
+
+            const checkButton = new Gtk.CheckButton({
+                active: selectedFolder.apps.some(app => app.id === appId),
+            });
+            checkButton.connect('toggled', () => {
+                if (checkButton.get_active()) {
+                    selectedFolder.apps.push({ id: appId, name, rank: selectedFolder.apps.length + 1 });
+                } else {
+                    selectedFolder.apps = selectedFolder.apps.filter(app => app.id !== appId);
+                    selectedFolder.apps.forEach((app, index) => {
+                        app.rank = index + 1;
+                    });
+                    // Ranks after the removed app shifted
+                    let appRow = folderAppsListBox.get_first_child();
+                    while (appRow) {
+                        appRow.updateRank();
+                        appRow = appRow.get_next_sibling();
+                    }
+                }
+                updateRank();
+                updateFolderCount();
+            });
+            rowBox.append(checkButton);
+
+            const appIcon = createIconImage(24);
+            if (appInfo.get_icon())
+                appIcon.set_from_gicon(appInfo.get_icon());
+            rowBox.append(appIcon);
+            rowBox.append(new Gtk.Label({ label: name, xalign: 0 }));
+            rowBox.append(rankLabel);
+            updateRank();
+
+            const row = new Gtk.ListBoxRow({ child: rowBox, activatable: false });
+            row.name = name;
+            row.updateRank = updateRank;
+            folderAppsListBox.append(row);
+        });
+    };
+
+    const selectFolder = folder => {
+        selectedFolder = folder;
+        appsColumn.set_sensitive(folder !== null);
+        folderNameEntry.set_text(folder?.name ?? '');
+        fillFolderApps();
+    };
+
+    folderAppsListBox.set_filter_func(row => {
+        const query = filterEntry.get_text().trim().toLowerCase();
+        return query.length === 0 || row.name.toLowerCase().includes(query);
+    });
+    filterEntry.connect('search-changed', () => folderAppsListBox.invalidate_filter());
+
+    foldersListBox.connect('row-selected', (_listBox, row) => {
+        if (row && row.folder !== selectedFolder)
+            selectFolder(row.folder);
+    });
+
+    folderNameEntry.connect('changed', () => {
+        const name = folderNameEntry.get_text().trim();
+        if (!selectedFolder || name === selectedFolder.name || !isFolderNameFree(name, selectedFolder))
+            return;
+
+        selectedFolder.name = name;
+        let row = foldersListBox.get_first_child();
+        while (row) {
+            if (row.folder === selectedFolder)
+                row.nameLabel.set_label(name);
+            row = row.get_next_sibling();
+        }
+    });
+
+    newFolderEntry.connect('changed', () => {
+        addFolderButton.set_sensitive(isFolderNameFree(newFolderEntry.get_text().trim()));
+    });
+
+    const addFolder = () => {
+        const name = newFolderEntry.get_text().trim();
+        if (!isFolderNameFree(name))
+            return;
+
+        const folder = { name, apps: [] };
+        folders.push(folder);
+        newFolderEntry.set_text('');
+        selectFolder(folder);
+        refreshFoldersList();
+    };
+    addFolderButton.connect('clicked', addFolder);
+    newFolderEntry.connect('activate', addFolder);
+
+    setupListBoxReordering(foldersListBox, row => row.folder.name, (folderName, targetName) => {
+        if (folderName === targetName)
+            return;
+
+        const fromIndex = folders.findIndex(folder => folder.name === folderName);
+        const toIndex = folders.findIndex(folder => folder.name === targetName);
+        if (fromIndex < 0 || toIndex < 0)
+            return;
+
+        const [movedFolder] = folders.splice(fromIndex, 1);
+        folders.splice(toIndex, 0, movedFolder);
+        refreshFoldersList();
+    });
+
+    refreshFoldersList();
+
+    dialog.connect('response', (_d, response) => {
+        if (response === Gtk.ResponseType.OK) {
+            pendingFolders = folders;
+            updateFoldersButton();
+            onSaved();
+        }
+
+        dialog.destroy();
+    });
+
+    dialog.show();
+}
+
+// -------- Image Selection --------
+
+/**
+ * Opens a file chooser dialog to select an image file.
+ * @param {Gtk.Image} icon - The icon widget to update with the selected image
+ */
+function selectImage(icon) {
+    const fileChooser = new Gtk.FileChooserDialog({
+        title: 'Select an Image',
+        action: Gtk.FileChooserAction.OPEN,
+        modal: true,
+    });
+
+    fileChooser.add_button('_Cancel', Gtk.ResponseType.CANCEL);
+    fileChooser.add_button('_Open', Gtk.ResponseType.ACCEPT);
+
+    const imageFilter = new Gtk.FileFilter();
+    imageFilter.set_name('Image Files');
+    ALLOWED_IMAGE_EXTENSIONS.forEach(ext => {
+        imageFilter.add_mime_type(`image/${ext}`);
+        imageFilter.add_pattern(`*.${ext}`);
+    });
+    fileChooser.set_filter(imageFilter);
+
+    fileChooser.connect('response', (dialog, responseId) => {
+        if (responseId === Gtk.ResponseType.ACCEPT) {
+            const file = fileChooser.get_file();
+            if (file) {
+                const filePath = file.get_path();
+                const extension = filePath.split('.').pop().toLowerCase();
+                if (ALLOWED_IMAGE_EXTENSIONS.includes(extension)) {
+                    icon.path = filePath;
+                    icon.set_from_file(filePath);
+                }
+            }
+        }
+        dialog.close();
+        dialog.destroy();
     });
 
     fileChooser.show();
@@ -913,6 +1963,9 @@ function showEditApplicationDialog(parent, row) {
             }
         } else if (response === Gtk.ResponseType.CANCEL) {
             try {
+                if (allIconApps.has(row.id))
+                    recordUndo(`Icon of “${row.name}” reset`);
+
                 const allApps = Gio.AppInfo.get_all();
                 const appInfo = allApps.find(app => app.get_id() === row.id);
                 const icon = row.get_child().get_first_child();
@@ -994,50 +2047,1109 @@ function removePicture(isCategory, baseName) {
     }
 }
 
-// -------- Extension Preferences Entry Point --------
+// -------- Behavior Page --------
 
 /**
- * Main preferences class for Start Menu extension.
+ * Creates a spin row bound to an integer or double settings key.
+ * @param {Gio.Settings} settings - Extension settings
+ * @param {string} key - Settings key to bind
+ * @param {string} title - Row title
+ * @param {number} min - Minimum value
+ * @param {number} max - Maximum value
+ * @param {number} step - Step increment
+ * @param {number} digits - Number of decimal digits shown (default: 0)
+ * @returns {Adw.SpinRow} Spin row
  */
-export default class StartMenuPrefs extends ExtensionPreferences {
-    fillPreferencesWindow(window) {
-        // Initialize paths
-        basePath = this.path;
-        filesDir = GLib.build_filenamev([basePath, 'files']);
-        categoriesFilePath = GLib.build_filenamev([filesDir, 'categories.jsonl']);
-        iconDir = GLib.build_filenamev([filesDir, 'icons']);
-        iconCategoriesDir = GLib.build_filenamev([iconDir, 'categories']);
-        iconAppsDir = GLib.build_filenamev([iconDir, 'apps']);
-        pathCategoryGenericIcon = GLib.build_filenamev([iconDir, 'category_icon.png']);
+function createSpinRow(settings, key, title, min, max, step, digits = 0) {
+    const row = Adw.SpinRow.new_with_range(min, max, step);
+    row.set_title(title);
+    row.set_digits(digits);
+    row.set_subtitle(settings.settings_schema.get_key(key).get_description());
+    settings.bind(key, row, 'value', Gio.SettingsBindFlags.DEFAULT);
+    return row;
+}
 
-        // Load stylesheet
-        const styleProvider = new Gtk.CssProvider();
-        styleProvider.load_from_path(`${basePath}/stylesheet.css`);
-        Gtk.StyleContext.add_provider_for_display(
-            Gdk.Display.get_default(),
-            styleProvider,
-            Gtk.STYLE_PROVIDER_PRIORITY_APPLICATION
-        );
+/**
+ * Asks for a key combination. Escape cancels and Backspace disables the
+ * shortcut.
+ * @param {Gtk.Window} parent - Parent window
+ * @param {string} title - What the shortcut does
+ * @param {Function} onSet - Called with the accelerator, or null to disable the shortcut
+ */
+function showShortcutDialog(parent, title, onSet) {
+    const dialog = new Adw.Window({
+        transient_for: parent,
+        modal: true,
+        title: 'Set Shortcut',
+        default_width: MIN_DIALOG_WIDTH,
+    });
 
-        // Load data and icons
-        loadCategories(categories, () => {
-            allIconCategories = getAllIcons(iconCategoriesDir) || new Map();
-            allIconApps = getAllIcons(iconAppsDir) || new Map();
+    const toolbarView = new Adw.ToolbarView();
+    toolbarView.add_top_bar(new Adw.HeaderBar());
+    toolbarView.set_content(new Adw.StatusPage({
+        icon_name: 'preferences-desktop-keyboard-shortcuts-symbolic',
+        title,
+        description: 'Press a key combination with a modifier, Escape to cancel or Backspace to disable the shortcut',
+    }));
+    dialog.set_content(toolbarView);
+
+    const keyController = new Gtk.EventControllerKey();
+    keyController.connect('key-pressed', (_controller, keyval, keycode, state) => {
+        const mask = state & Gtk.accelerator_get_default_mod_mask() & ~Gdk.ModifierType.LOCK_MASK;
+
+        if (mask === 0 && keyval === Gdk.KEY_Escape) {
+            dialog.close();
+        } else if (mask === 0 && keyval === Gdk.KEY_BackSpace) {
+            onSet(null);
+            dialog.close();
+        } else if (mask !== 0 && Gtk.accelerator_valid(keyval, mask)) {
+            // Modifier presses alone aren't valid, so the dialog waits for the full combination
+            onSet(Gtk.accelerator_name_with_keycode(null, Gdk.keyval_to_lower(keyval), keycode, mask));
+            dialog.close();
+        }
 
-            // Clean up uninstalled apps from all categories
-            const changesMade = cleanupCategories();
-            if (changesMade) {
-                saveCategoriesToFile();
-            }
+        return Gdk.EVENT_STOP;
+    });
+    dialog.add_controller(keyController);
 
-            // Build UI
-            const prefsWidget = buildPrefsWidget();
+    dialog.present();
+}
 
-            const page = new Adw.PreferencesPage({ title: 'General' });
-            const group = new Adw.PreferencesGroup();
-            group.add(prefsWidget);
-            page.add(group);
-            window.add(page);
+/**
+ * Creates a row showing a shortcut stored in a string array settings key.
+ * Activating the row captures a new shortcut; its button restores the default.
+ * @param {Gio.Settings} settings - Extension settings
+ * @param {string} key - Settings key holding the accelerators
+ * @param {string} title - Row title
+ * @returns {Adw.ActionRow} Shortcut row
+ */
+function createShortcutRow(settings, key, title) {
+    const row = new Adw.ActionRow({
+        title,
+        subtitle: settings.settings_schema.get_key(key).get_description(),
+        activatable: true,
+    });
+
+    const shortcutLabel = new Gtk.ShortcutLabel({
+        disabled_text: 'Disabled',
+        valign: Gtk.Align.CENTER,
+    });
+    const updateLabel = () => shortcutLabel.set_accelerator(settings.get_strv(key)[0] ?? '');
+    updateLabel();
+    settings.connect(`changed::${key}`, updateLabel);
+    row.add_suffix(shortcutLabel);
+
+    const resetButton = new Gtk.Button({
+        icon_name: 'edit-undo-symbolic',
+        tooltip_text: 'Restore the default shortcut',
+        valign: Gtk.Align.CENTER,
+        has_frame: false,
+    });
+    resetButton.connect('clicked', () => settings.reset(key));
+    row.add_suffix(resetButton);
+
+    row.connect('activated', () => {
+        showShortcutDialog(row.get_root(), title, accelerator => {
+            settings.set_strv(key, accelerator ? [accelerator] : []);
+        });
+    });
+
+    return row;
+}
+
+/**
+ * Builds the page exposing the extension's tunable settings.
+ * @param {Gio.Settings} settings - Extension settings
+ * @returns {Adw.PreferencesPage} Behavior page
+ */
+function buildBehaviorPage(settings) {
+    const page = new Adw.PreferencesPage({
+        title: 'Behavior',
+        icon_name: 'preferences-system-symbolic',
+    });
+
+    // Panel
+    const panelGroup = new Adw.PreferencesGroup({ title: 'Panel' });
+
+    const positionRow = new Adw.ComboRow({
+        title: 'Panel box',
+        subtitle: settings.settings_schema.get_key('panel-position').get_description(),
+        model: Gtk.StringList.new(['Left', 'Center', 'Right']),
+        selected: PANEL_POSITIONS.indexOf(settings.get_string('panel-position')),
+    });
+    positionRow.connect('notify::selected', () => {
+        settings.set_string('panel-position', PANEL_POSITIONS[positionRow.selected]);
+    });
+    settings.connect('changed::panel-position', () => {
+        positionRow.set_selected(PANEL_POSITIONS.indexOf(settings.get_string('panel-position')));
+    });
+    panelGroup.add(positionRow);
+    panelGroup.add(createSpinRow(settings, 'panel-index', 'Panel index', 0, 20, 1));
+    page.add(panelGroup);
+
+    // Keyboard
+    const keyboardGroup = new Adw.PreferencesGroup({ title: 'Keyboard' });
+    keyboardGroup.add(createShortcutRow(settings, 'toggle-menu', 'Open the start menu'));
+
+    const superKeyRow = new Adw.SwitchRow({
+        title: 'Super key opens the menu',
+        subtitle: settings.settings_schema.get_key('super-key-opens-menu').get_description(),
+    });
+    settings.bind('super-key-opens-menu', superKeyRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+    keyboardGroup.add(superKeyRow);
+    page.add(keyboardGroup);
+
+    // Menu
+    const menuGroup = new Adw.PreferencesGroup({ title: 'Menu' });
+    menuGroup.add(createSpinRow(settings, 'max-recents', 'Maximum recent apps', 1, 50, 1));
+
+    const hintRow = new Adw.EntryRow({ title: 'Search hint text' });
+    settings.bind('search-hint-text', hintRow, 'text', Gio.SettingsBindFlags.DEFAULT);
+    menuGroup.add(hintRow);
+
+    const providersRow = new Adw.SwitchRow({
+        title: 'Search provider results',
+        subtitle: settings.settings_schema.get_key('search-providers').get_description(),
+    });
+    settings.bind('search-providers', providersRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+    menuGroup.add(providersRow);
+
+    const userHeaderRow = new Adw.SwitchRow({
+        title: 'User header',
+        subtitle: settings.settings_schema.get_key('user-header').get_description(),
+    });
+    settings.bind('user-header', userHeaderRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+    menuGroup.add(userHeaderRow);
+
+    menuGroup.add(createSpinRow(settings, 'frecency-weight', 'Launch history weight', 0, 1, 0.05, 2));
+    menuGroup.add(createSpinRow(settings, 'most-used-window-days', 'Most used period (days)', 1, 365, 1));
+    menuGroup.add(createSpinRow(settings, 'most-used-count', 'Maximum most used apps', 1, 50, 1));
+    menuGroup.add(createSpinRow(settings, 'jump-list-size', 'Recent files per app', 0, 20, 1));
+    page.add(menuGroup);
+
+    // Session buttons
+    const sessionGroup = new Adw.PreferencesGroup({
+        title: 'Session Buttons',
+        description: 'Buttons shown under the categories. Log out, restart and power off ask for confirmation',
+    });
+    SESSION_ACTIONS.forEach(({ id, title }) => {
+        const row = new Adw.SwitchRow({
+            title,
+            active: settings.get_strv('session-buttons').includes(id),
+        });
+        row.connect('notify::active', () => {
+            const shown = settings.get_strv('session-buttons');
+            if (row.active === shown.includes(id))
+                return;
+
+            settings.set_strv('session-buttons', SESSION_ACTIONS
+                .map(action => action.id)
+                .filter(actionId => (actionId === id ? row.active : shown.includes(actionId))));
+        });
+        settings.connect('changed::session-buttons', () => {
+            row.set_active(settings.get_strv('session-buttons').includes(id));
+        });
+        sessionGroup.add(row);
+    });
+    page.add(sessionGroup);
+
+    // Appearance
+    const appearanceGroup = new Adw.PreferencesGroup({ title: 'Appearance' });
+    appearanceGroup.add(createSpinRow(settings, 'category-icon-scale', 'Category icon scale', 0.5, 4, 0.1, 1));
+    appearanceGroup.add(createSpinRow(settings, 'app-icon-scale', 'Application icon scale', 0.5, 4, 0.1, 1));
+    page.add(appearanceGroup);
+
+    // Advanced
+    const advancedGroup = new Adw.PreferencesGroup({ title: 'Advanced' });
+    advancedGroup.add(createSpinRow(settings, 'reload-delay-ms', 'Reload delay (ms)', 100, 10000, 100));
+    page.add(advancedGroup);
+
+    return page;
+}
+
+// -------- Hotkeys Page --------
+
+/**
+ * Lists the categories the launch hotkeys can use: the dash favorites and
+ * the user's categories in menu order.
+ * @returns {string[]} Category names
+ */
+function getHotkeyCategoryNames() {
+    return [
+        FAVORITES_CAT_NAME,
+        ...Array.from(categories.values())
+            .filter(category => category.rank !== null)
+            .sort((a, b) => a.rank - b.rank)
+            .map(category => category.name),
+    ];
+}
+
+/**
+ * Builds the page choosing the category whose apps the launch hotkeys
+ * start, and their shortcuts.
+ * @param {Gio.Settings} settings - Extension settings
+ * @returns {Adw.PreferencesPage} Hotkeys page
+ */
+function buildHotkeysPage(settings) {
+    const page = new Adw.PreferencesPage({
+        title: 'Hotkeys',
+        icon_name: 'input-keyboard-symbolic',
+    });
+
+    const categoryGroup = new Adw.PreferencesGroup({
+        title: 'Category',
+        description: 'The shortcuts launch the apps of this category in the order the menu lists them, ' +
+            'without opening the menu',
+    });
+    const categoryRow = new Adw.ComboRow({
+        title: 'Launch apps of',
+        subtitle: settings.settings_schema.get_key('hotkey-category').get_description(),
+    });
+    categoryGroup.add(categoryRow);
+    page.add(categoryGroup);
+
+    let categoryNames = [];
+    let refreshing = false;
+    const refreshCategories = () => {
+        const current = settings.get_string('hotkey-category');
+
+        // A category that no longer exists stays listed until another is chosen
+        categoryNames = getHotkeyCategoryNames();
+        if (!categoryNames.includes(current))
+            categoryNames.push(current);
+
+        // Replacing the model resets the selection, which must not be saved
+        refreshing = true;
+        categoryRow.set_model(Gtk.StringList.new(categoryNames));
+        categoryRow.set_selected(categoryNames.indexOf(current));
+        refreshing = false;
+    };
+    refreshCategories();
+
+    categoryRow.connect('notify::selected', () => {
+        const name = categoryNames[categoryRow.selected];
+        if (!refreshing && name !== undefined && name !== settings.get_string('hotkey-category'))
+            settings.set_string('hotkey-category', name);
+    });
+    settings.connect('changed::hotkey-category', refreshCategories);
+    page.connect('map', refreshCategories);
+
+    const shortcutsGroup = new Adw.PreferencesGroup({ title: 'Shortcuts' });
+    const hotkeyCount = settings.settings_schema.list_keys().filter(key => key.startsWith('launch-app-')).length;
+    for (let position = 1; position <= hotkeyCount; position++)
+        shortcutsGroup.add(createShortcutRow(settings, `launch-app-${position}`, `Launch app ${position}`));
+    page.add(shortcutsGroup);
+
+    return page;
+}
+
+// -------- Layout Sharing --------
+
+/**
+ * Shows a message dialog with a single close button.
+ * @param {Gtk.Window} parent - Parent window
+ * @param {string} heading - Dialog heading
+ * @param {string} body - Dialog text
+ */
+function showMessage(parent, heading, body) {
+    const dialog = new Adw.MessageDialog({ transient_for: parent, modal: true, heading, body });
+    dialog.add_response('close', '_Close');
+    dialog.present();
+}
+
+/**
+ * Creates a file chooser for layout bundles.
+ * @param {Gtk.Window} parent - Parent window
+ * @param {string} title - Dialog title
+ * @param {Gtk.FileChooserAction} action - OPEN or SAVE
+ * @param {Function} onFile - Called with the chosen file path
+ */
+function chooseLayoutFile(parent, title, action, onFile) {
+    const fileChooser = new Gtk.FileChooserDialog({ title, action, transient_for: parent, modal: true });
+    fileChooser.add_button('_Cancel', Gtk.ResponseType.CANCEL);
+    fileChooser.add_button(action === Gtk.FileChooserAction.SAVE ? '_Export' : '_Import', Gtk.ResponseType.ACCEPT);
+
+    const layoutFilter = new Gtk.FileFilter();
+    layoutFilter.set_name('Start Menu Layouts');
+    layoutFilter.add_pattern(`*.${BUNDLE_FILE_EXTENSION}`);
+    fileChooser.set_filter(layoutFilter);
+
+    if (action === Gtk.FileChooserAction.SAVE)
+        fileChooser.set_current_name(`start-menu-layout.${BUNDLE_FILE_EXTENSION}`);
+
+    fileChooser.connect('response', (dialog, responseId) => {
+        const filePath = fileChooser.get_file()?.get_path();
+        dialog.destroy();
+
+        if (responseId === Gtk.ResponseType.ACCEPT && filePath)
+            onFile(filePath);
+    });
+
+    fileChooser.show();
+}
+
+/**
+ * Exports the categories and their custom icons to a file chosen by the user.
+ * @param {Adw.PreferencesWindow} window - Preferences window
+ */
+function exportLayout(window) {
+    chooseLayoutFile(window, 'Export Layout', Gtk.FileChooserAction.SAVE, filePath => {
+        try {
+            exportLayoutBundle(filePath, Array.from(categories.values()), { iconCategoriesDir, iconAppsDir });
+            window.add_toast(new Adw.Toast({ title: 'Layout exported' }));
+        } catch (e) {
+            logError(e, 'Failed to export layout');
+            showMessage(window, 'Export Failed', e.message);
+        }
+    });
+}
+
+/**
+ * Imports categories and icons from a file chosen by the user, merged into or
+ * replacing the current layout, then reports apps that aren't installed.
+ * @param {Adw.PreferencesWindow} window - Preferences window
+ */
+function importLayout(window) {
+    chooseLayoutFile(window, 'Import Layout', Gtk.FileChooserAction.OPEN, filePath => {
+        let bundle;
+        try {
+            bundle = readLayoutBundle(filePath);
+        } catch (e) {
+            showMessage(window, 'Import Failed', e.message);
+            return;
+        }
+
+        const dialog = new Adw.MessageDialog({
+            transient_for: window,
+            modal: true,
+            heading: 'Import Layout',
+            body: `The file contains ${bundle.categories.length} categories. ` +
+                'Merge them into your layout, or replace your layout with them?',
+        });
+        dialog.add_response('cancel', '_Cancel');
+        dialog.add_response('merge', '_Merge');
+        dialog.add_response('replace', '_Replace');
+        dialog.set_response_appearance('replace', Adw.ResponseAppearance.DESTRUCTIVE);
+        dialog.set_default_response('merge');
+        dialog.set_close_response('cancel');
+
+        dialog.connect('response', (_d, response) => {
+            if (response === 'cancel')
+                return;
+
+            try {
+                recordUndo('Layout imported', false);
+                const { imported, missingApps } = importLayoutBundle(
+                    bundle,
+                    categories,
+                    response === 'merge',
+                    { iconCategoriesDir, iconAppsDir }
+                );
+                saveCategoriesToFile();
+                refreshGeneralPage?.();
+
+                if (missingApps.length === 0) {
+                    window.add_toast(new Adw.Toast({ title: `${imported} categories imported` }));
+                    return;
+                }
+
+                const appList = missingApps
+                    .map(app => `• ${app.name} (${app.category})`)
+                    .join('\n');
+                showMessage(
+                    window,
+                    `${imported} Categories Imported`,
+                    `These apps aren't installed and won't be shown until they are:\n\n${appList}`
+                );
+            } catch (e) {
+                logError(e, 'Failed to import layout');
+                showMessage(window, 'Import Failed', e.message);
+            }
+        });
+
+        dialog.present();
+    });
+}
+
+/**
+ * Imports the app folders of the overview app grid as categories.
+ * @param {Adw.PreferencesWindow} window - Preferences window
+ * @returns {boolean} True on success
+ */
+function importFromAppFolders(window) {
+    try {
+        const folders = readAppFolders();
+        const layout = captureLayout();
+        if (importAppFolders(categories, folders)) {
+            pushUndoStep('App folders imported', layout, false);
+            saveCategoriesToFile();
+            refreshGeneralPage?.();
+        }
+        window.add_toast(new Adw.Toast({ title: `${folders.length} app folders imported` }));
+        return true;
+    } catch (e) {
+        logError(e, 'Failed to import app folders');
+        showMessage(window, 'Import Failed', e.message);
+        return false;
+    }
+}
+
+/**
+ * Writes the categories to the app folders of the overview app grid.
+ * @param {Adw.PreferencesWindow} window - Preferences window
+ * @returns {boolean} True on success
+ */
+function exportToAppFolders(window) {
+    try {
+        // Categories linked to a newly created folder remember its ID
+        if (exportAppFolders(categories))
+            saveCategoriesToFile();
+        window.add_toast(new Adw.Toast({ title: 'Categories exported to app folders' }));
+        return true;
+    } catch (e) {
+        logError(e, 'Failed to export app folders');
+        showMessage(window, 'Export Failed', e.message);
+        return false;
+    }
+}
+
+/**
+ * Adds a row with a single button to a preferences group.
+ * @param {Adw.PreferencesGroup} group - Group to add the row to
+ * @param {string} title - Row title
+ * @param {string} subtitle - Row subtitle
+ * @param {string} label - Button label
+ * @param {Function} onClicked - Button handler
+ */
+function addButtonRow(group, title, subtitle, label, onClicked) {
+    const row = new Adw.ActionRow({ title, subtitle });
+    const button = new Gtk.Button({ label, valign: Gtk.Align.CENTER });
+    button.connect('clicked', onClicked);
+    row.add_suffix(button);
+    row.set_activatable_widget(button);
+    group.add(row);
+}
+
+/**
+ * Builds the page for sharing the category layout between machines and with
+ * the app folders of the overview.
+ * @param {Adw.PreferencesWindow} window - Preferences window
+ * @param {Gio.Settings} settings - Extension settings
+ * @returns {Adw.PreferencesPage} Layout page
+ */
+function buildLayoutPage(window, settings) {
+    const page = new Adw.PreferencesPage({
+        title: 'Layout',
+        icon_name: 'document-send-symbolic',
+    });
+
+    const shareGroup = new Adw.PreferencesGroup({
+        title: 'Share Layout',
+        description: 'Categories and custom icons are saved together in a single file',
+    });
+
+    addButtonRow(shareGroup, 'Export layout', 'Save the categories and their icons to a file',
+        'Export…', () => exportLayout(window));
+    addButtonRow(shareGroup, 'Import layout', 'Merge or replace the categories with those of an exported file',
+        'Import…', () => importLayout(window));
+    page.add(shareGroup);
+
+    const appFoldersGroup = new Adw.PreferencesGroup({
+        title: 'GNOME App Folders',
+        description: 'The folders of the overview app grid, opened by "Show all applications"',
+    });
+
+    addButtonRow(appFoldersGroup, 'Import app folders', 'Add each app folder as a category, or its apps to the category of the same name',
+        'Import', () => importFromAppFolders(window));
+    addButtonRow(appFoldersGroup, 'Export to app folders', 'Create or update an app folder for each category',
+        'Export', () => exportToAppFolders(window));
+
+    const syncRow = new Adw.SwitchRow({
+        title: 'Keep in sync',
+        subtitle: settings.settings_schema.get_key('sync-app-folders').get_description(),
+        active: settings.get_boolean('sync-app-folders'),
+    });
+    syncRow.connect('notify::active', () => {
+        if (syncRow.active === settings.get_boolean('sync-app-folders'))
+            return;
+
+        // Link both sides here first, so no folder or category is lost or duplicated
+        if (syncRow.active && !(importFromAppFolders(window) && exportToAppFolders(window))) {
+            syncRow.set_active(false);
+            return;
+        }
+
+        settings.set_boolean('sync-app-folders', syncRow.active);
+    });
+    settings.connect('changed::sync-app-folders', () => {
+        syncRow.set_active(settings.get_boolean('sync-app-folders'));
+    });
+    appFoldersGroup.add(syncRow);
+    page.add(appFoldersGroup);
+
+    return page;
+}
+
+// -------- Restore --------
+
+/**
+ * Reads the categories saved in a backup.
+ * @param {string} backupPath - Backup file
+ * @returns {{categories: Object[], errors: string[]}} Parsed backup
+ */
+function readCategoriesBackup(backupPath) {
+    const [, contents] = GLib.file_get_contents(backupPath);
+    return parseCategories(new TextDecoder().decode(contents));
+}
+
+/**
+ * Replaces the categories with those of a backup after asking for
+ * confirmation. The current categories are backed up first.
+ * @param {Adw.PreferencesWindow} window - Preferences window
+ * @param {Object} backup - Backup from listCategoriesBackups()
+ * @param {Function} onRestored - Called after the backup was restored
+ */
+function restoreCategoriesBackup(window, backup, onRestored) {
+    const dialog = new Adw.MessageDialog({
+        transient_for: window,
+        modal: true,
+        heading: 'Restore Layout?',
+        body: `The categories will be replaced with those saved on ${backup.date.format('%c')}. ` +
+            'The current categories are backed up first.',
+    });
+    dialog.add_response('cancel', '_Cancel');
+    dialog.add_response('restore', '_Restore');
+    dialog.set_response_appearance('restore', Adw.ResponseAppearance.DESTRUCTIVE);
+    dialog.set_close_response('cancel');
+
+    dialog.connect('response', (_d, response) => {
+        if (response !== 'restore')
+            return;
+
+        try {
+            const { categories: restored } = readCategoriesBackup(backup.path);
+
+            recordUndo('Layout restored', false);
+            backupCategoriesFile({ categoriesFilePath, backupsDir }, true);
+            writeFileAtomically(categoriesFilePath, serializeCategories(restored));
+            endCategoriesReadOnly();
+
+            categories.clear();
+            restored.forEach(category => categories.set(category.name, category));
+            refreshGeneralPage?.();
+
+            window.add_toast(new Adw.Toast({ title: 'Layout restored' }));
+            onRestored();
+        } catch (e) {
+            logError(e, 'Failed to restore categories backup');
+            showMessage(window, 'Restore Failed', e.message);
+        }
+    });
+
+    dialog.present();
+}
+
+/**
+ * Creates the row of a backup, expanding to a preview of its categories.
+ * @param {Adw.PreferencesWindow} window - Preferences window
+ * @param {Object} backup - Backup from listCategoriesBackups()
+ * @param {Function} onRestored - Called after the backup was restored
+ * @returns {Adw.ExpanderRow|null} The row, or null if the backup can't be read
+ */
+function createBackupRow(window, backup, onRestored) {
+    let parsed;
+    try {
+        parsed = readCategoriesBackup(backup.path);
+    } catch (e) {
+        logError(e, `Failed to read backup ${backup.path}`);
+        return null;
+    }
+
+    const normalCategories = parsed.categories
+        .filter(category => category.rank !== null)
+        .sort((a, b) => a.rank - b.rank);
+    const builtinNames = parsed.categories
+        .filter(category => category.rank === null)
+        .map(category => category.name);
+
+    const row = new Adw.ExpanderRow({
+        title: backup.date.format('%c'),
+        subtitle: `${normalCategories.length} categories`,
+    });
+
+    normalCategories.forEach(category => {
+        const appNames = category.apps
+            .sort((a, b) => a.rank - b.rank)
+            .map(app => app.name)
+            .join(', ');
+        row.add_row(new Adw.ActionRow({
+            title: GLib.markup_escape_text(category.name, -1),
+            subtitle: GLib.markup_escape_text(appNames || 'No apps selected', -1),
+            subtitle_lines: 2,
+        }));
+    });
+
+    if (builtinNames.length > 0) {
+        row.add_row(new Adw.ActionRow({
+            title: 'Built-in categories',
+            subtitle: GLib.markup_escape_text(builtinNames.join(', '), -1),
+        }));
+    }
+
+    const restoreButton = new Gtk.Button({ label: 'Restore', valign: Gtk.Align.CENTER });
+    restoreButton.connect('clicked', () => restoreCategoriesBackup(window, backup, onRestored));
+    row.add_suffix(restoreButton);
+
+    return row;
+}
+
+/**
+ * Builds the page listing the backups of the categories, each with a
+ * preview and a button restoring it.
+ * @param {Adw.PreferencesWindow} window - Preferences window
+ * @returns {Adw.PreferencesPage} Restore page
+ */
+function buildRestorePage(window) {
+    const page = new Adw.PreferencesPage({
+        title: 'Restore',
+        icon_name: 'document-revert-symbolic',
+    });
+
+    const group = new Adw.PreferencesGroup({
+        title: 'Restore previous layout',
+        description: 'The categories are backed up before they are changed',
+    });
+    page.add(group);
+
+    let rows = [];
+    const refresh = () => {
+        rows.forEach(row => group.remove(row));
+
+        rows = listCategoriesBackups(backupsDir)
+            .map(backup => createBackupRow(window, backup, refresh))
+            .filter(row => row !== null);
+
+        if (rows.length === 0)
+            rows.push(new Adw.ActionRow({ title: 'No backups yet' }));
+
+        rows.forEach(row => group.add(row));
+    };
+
+    // Backups are made while editing, so list them whenever the page is shown
+    page.connect('map', refresh);
+
+    return page;
+}
+
+// -------- Undo --------
+
+/**
+ * Returns a key identifying the current version of an icon file.
+ * @param {string} filePath - Icon file
+ * @returns {string} Path, size and modification time
+ */
+function getIconFileKey(filePath) {
+    const info = Gio.File.new_for_path(filePath).query_info(
+        'standard::size,time::modified,time::modified-usec',
+        Gio.FileQueryInfoFlags.NONE,
+        null
+    );
+
+    return `${filePath}:${info.get_size()}:` +
+        `${info.get_attribute_uint64('time::modified')}.${info.get_attribute_uint32('time::modified-usec')}`;
+}
+
+/**
+ * Copies the icons of a directory to undoDir, unless the same version of a
+ * file was copied before.
+ * @param {string} dirPath - Icon directory
+ * @returns {Map<string, string>} File name to key in storedIconFiles
+ */
+function storeIconFiles(dirPath) {
+    const files = new Map();
+
+    (getAllIcons(dirPath) ?? new Map()).forEach((extension, baseName) => {
+        const fileName = `${baseName}.${extension}`;
+
+        try {
+            const filePath = GLib.build_filenamev([dirPath, fileName]);
+            const key = getIconFileKey(filePath);
+
+            if (!storedIconFiles.has(key)) {
+                const storedPath = GLib.build_filenamev([undoDir, `${GLib.uuid_string_random()}.${extension}`]);
+                GLib.mkdir_with_parents(undoDir, 0o755);
+                Gio.File.new_for_path(filePath).copy(
+                    Gio.File.new_for_path(storedPath),
+                    Gio.FileCopyFlags.NONE,
+                    null,
+                    null
+                );
+                storedIconFiles.set(key, storedPath);
+            }
+
+            files.set(fileName, key);
+        } catch (e) {
+            logError(e, `Failed to keep icon ${fileName} for undo`);
+        }
+    });
+
+    return files;
+}
+
+/**
+ * Brings an icon directory back to the files of a captured layout.
+ * @param {string} dirPath - Icon directory
+ * @param {Map<string, string>} files - Files from storeIconFiles()
+ */
+function restoreIconFiles(dirPath, files) {
+    (getAllIcons(dirPath) ?? new Map()).forEach((extension, baseName) => {
+        const filePath = GLib.build_filenamev([dirPath, `${baseName}.${extension}`]);
+
+        try {
+            if (files.get(`${baseName}.${extension}`) !== getIconFileKey(filePath))
+                Gio.File.new_for_path(filePath).delete(null);
+        } catch (e) {
+            logError(e, `Failed to remove icon ${filePath}`);
+        }
+    });
+
+    GLib.mkdir_with_parents(dirPath, 0o755);
+
+    files.forEach((key, fileName) => {
+        const filePath = GLib.build_filenamev([dirPath, fileName]);
+        if (GLib.file_test(filePath, GLib.FileTest.EXISTS))
+            return;
+
+        try {
+            Gio.File.new_for_path(storedIconFiles.get(key)).copy(
+                Gio.File.new_for_path(filePath),
+                Gio.FileCopyFlags.OVERWRITE,
+                null,
+                null
+            );
+        } catch (e) {
+            logError(e, `Failed to restore icon ${fileName}`);
+        }
+    });
+}
+
+/**
+ * Captures the categories and custom icons so an edit can be undone.
+ * @returns {Object} Layout for restoreLayout()
+ */
+function captureLayout() {
+    return {
+        categoriesText: serializeCategories(categories.values()),
+        categoryIcons: storeIconFiles(iconCategoriesDir),
+        appIcons: storeIconFiles(iconAppsDir),
+    };
+}
+
+/**
+ * Replaces the categories and custom icons with a captured layout, then
+ * saves and shows them.
+ * @param {Object} layout - Layout from captureLayout()
+ */
+function restoreLayout(layout) {
+    restoreIconFiles(iconCategoriesDir, layout.categoryIcons);
+    restoreIconFiles(iconAppsDir, layout.appIcons);
+
+    categories.clear();
+    parseCategories(layout.categoriesText).categories
+        .forEach(category => categories.set(category.name, category));
+
+    saveCategoriesToFile();
+    refreshGeneralPage?.();
+}
+
+/**
+ * Shows a toast with a button, replacing the previous undo toast.
+ * @param {string} title - Toast title
+ * @param {string} buttonLabel - Button label
+ * @param {Function} onClicked - Called when the button is clicked
+ */
+function showUndoToast(title, buttonLabel, onClicked) {
+    undoToast?.dismiss();
+    undoToast = new Adw.Toast({
+        title: GLib.markup_escape_text(title, -1),
+        button_label: buttonLabel,
+    });
+    undoToast.connect('button-clicked', onClicked);
+    prefsWindow?.add_toast(undoToast);
+}
+
+/**
+ * Adds the layout before an edit to the undo stack. A new edit drops the
+ * edits that were undone.
+ * @param {string} label - Description of the edit
+ * @param {Object} layout - Layout from captureLayout() taken before the edit
+ * @param {boolean} showToast - Offer to undo the edit in a toast
+ */
+function pushUndoStep(label, layout, showToast = true) {
+    const step = { label, layout };
+
+    undoStack.push(step);
+    if (undoStack.length > MAX_UNDO_STEPS)
+        undoStack.shift();
+    redoStack = [];
+
+    if (showToast) {
+        showUndoToast(label, '_Undo', () => {
+            if (undoStack.at(-1) === step)
+                undo();
+        });
+    }
+}
+
+/**
+ * Records the current layout before an edit.
+ * @param {string} label - Description of the edit
+ * @param {boolean} showToast - Offer to undo the edit in a toast
+ */
+function recordUndo(label, showToast = true) {
+    try {
+        pushUndoStep(label, captureLayout(), showToast);
+    } catch (e) {
+        logError(e, 'Failed to record undo step');
+    }
+}
+
+/**
+ * Restores the layout of the last step of a stack, moving the current
+ * layout to the other stack.
+ * @param {Object[]} fromStack - Stack to take the step from
+ * @param {Object[]} toStack - Stack receiving the current layout
+ * @returns {Object|null} Step added to toStack, or null if there was none
+ */
+function swapUndoStep(fromStack, toStack) {
+    const step = fromStack.pop();
+    if (!step)
+        return null;
+
+    try {
+        const currentStep = { label: step.label, layout: captureLayout() };
+        toStack.push(currentStep);
+        restoreLayout(step.layout);
+        return currentStep;
+    } catch (e) {
+        logError(e, `Failed to restore layout before "${step.label}"`);
+        return null;
+    }
+}
+
+/**
+ * Undoes the last edit.
+ */
+function undo() {
+    const step = swapUndoStep(undoStack, redoStack);
+    if (!step)
+        return;
+
+    showUndoToast(`Undone: ${step.label}`, '_Redo', () => {
+        if (redoStack.at(-1) === step)
+            redo();
+    });
+}
+
+/**
+ * Redoes the last undone edit.
+ */
+function redo() {
+    const step = swapUndoStep(redoStack, undoStack);
+    if (!step)
+        return;
+
+    showUndoToast(`Redone: ${step.label}`, '_Undo', () => {
+        if (undoStack.at(-1) === step)
+            undo();
+    });
+}
+
+/**
+ * Forgets every undo step and deletes the icon copies kept for them.
+ */
+function clearUndoHistory() {
+    undoStack = [];
+    redoStack = [];
+    storedIconFiles = new Map();
+
+    try {
+        const enumerator = Gio.File.new_for_path(undoDir).enumerate_children(
+            'standard::name',
+            Gio.FileQueryInfoFlags.NONE,
+            null
+        );
+
+        let fileInfo;
+        while ((fileInfo = enumerator.next_file(null)) !== null)
+            enumerator.get_child(fileInfo).delete(null);
+
+        enumerator.close(null);
+    } catch (e) {
+        // Missing directory - nothing kept
+    }
+}
+
+/**
+ * Binds Ctrl+Z to undo and Ctrl+Shift+Z and Ctrl+Y to redo. Text entries
+ * keep handling the keys themselves while focused.
+ * @param {Adw.PreferencesWindow} window - Preferences window
+ */
+function setupUndoShortcuts(window) {
+    const controller = new Gtk.ShortcutController();
+
+    [
+        ['<Control>z', undo],
+        ['<Control><Shift>z', redo],
+        ['<Control>y', redo],
+    ].forEach(([accelerator, callback]) => {
+        controller.add_shortcut(new Gtk.Shortcut({
+            trigger: Gtk.ShortcutTrigger.parse_string(accelerator),
+            action: Gtk.CallbackAction.new(() => {
+                callback();
+                return true;
+            }),
+        }));
+    });
+
+    window.add_controller(controller);
+    window.connect('close-request', () => {
+        clearUndoHistory();
+        return false;
+    });
+}
+
+// -------- Load Errors --------
+
+/**
+ * Reports the lines of categories.jsonl that were skipped when loading.
+ * @param {Adw.PreferencesWindow} window - Preferences window
+ */
+function showCategoriesLoadErrors(window) {
+    const toast = new Adw.Toast({
+        title: `Skipped ${categoriesLoadErrors.length} invalid entries in categories.jsonl`,
+        button_label: 'Details',
+        timeout: 0,
+    });
+    toast.connect('button-clicked', () => {
+        showMessage(
+            window,
+            'Invalid Category Entries',
+            'These entries were skipped and will be dropped the next time the categories are saved. ' +
+                'The file as it was loaded is kept on the "Restore" page.\n\n' +
+                categoriesLoadErrors.map(error => `• ${error}`).join('\n')
+        );
+    });
+    window.add_toast(toast);
+}
+
+/**
+ * Disables the pages editing the categories because categories.jsonl was
+ * written by a newer version, and tells the user why.
+ * @param {Adw.PreferencesWindow} window - Preferences window
+ * @param {Gtk.Widget[]} pages - Pages to disable
+ */
+function showCategoriesReadOnly(window, pages) {
+    readOnlyPages = pages;
+    readOnlyPages.forEach(page => page.set_sensitive(false));
+
+    const toast = new Adw.Toast({
+        title: 'categories.jsonl is from a newer version, the categories are read-only',
+        button_label: 'Details',
+        timeout: 0,
+    });
+    toast.connect('button-clicked', () => {
+        showMessage(
+            window,
+            'Categories Are Read-Only',
+            'categories.jsonl was saved by a newer version of the extension. Saving it with this ' +
+                "version would drop what it can't read, so the categories can't be edited. " +
+                'Update the extension, or restore a backup on the "Restore" page to replace the file.\n\n' +
+                categoriesLoadErrors.map(error => `• ${error}`).join('\n')
+        );
+    });
+    window.add_toast(toast);
+}
+
+/**
+ * Enables the categories pages again once categories.jsonl was replaced.
+ */
+function endCategoriesReadOnly() {
+    categoriesReadOnly = false;
+    readOnlyPages.forEach(page => page.set_sensitive(true));
+    readOnlyPages = [];
+}
+
+// -------- Extension Preferences Entry Point --------
+
+/**
+ * Main preferences class for Start Menu extension.
+ */
+export default class StartMenuPrefs extends ExtensionPreferences {
+    fillPreferencesWindow(window) {
+        // Initialize paths (user data lives outside the extension directory)
+        basePath = this.path;
+        ensureUserDataDir(basePath);
+        ({
+            categoriesFilePath,
+            backupsDir,
+            undoDir,
+            iconDir,
+            bundledIconCategoriesDir,
+            iconCategoriesDir,
+            iconAppsDir,
+            pathCategoryGenericIcon,
+        } = getDataPaths(basePath));
+
+        const settings = this.getSettings();
+        prefsWindow = window;
+
+        // Load stylesheet
+        const styleProvider = new Gtk.CssProvider();
+        styleProvider.load_from_path(`${basePath}/stylesheet.css`);
+        Gtk.StyleContext.add_provider_for_display(
+            Gdk.Display.get_default(),
+            styleProvider,
+            Gtk.STYLE_PROVIDER_PRIORITY_APPLICATION
+        );
+
+        // Load data and icons
+        loadCategories(categories, () => {
+            allIconCategories = getAllIcons(iconCategoriesDir) || new Map();
+            bundledIconCategories = getAllIcons(bundledIconCategoriesDir) || new Map();
+            allIconApps = getAllIcons(iconAppsDir) || new Map();
+
+            // Clean up uninstalled apps from all categories, rewriting older
+            // file versions in the current one. Files with invalid lines are
+            // left alone until the user saves a change.
+            const changesMade = cleanupCategories();
+            if ((changesMade || categoriesNeedMigration) && categoriesLoadErrors.length === 0) {
+                saveCategoriesToFile();
+            }
+
+            // Build UI
+            const prefsWidget = buildPrefsWidget();
+
+            const page = new Adw.PreferencesPage({ title: 'General' });
+            const group = new Adw.PreferencesGroup();
+            group.add(prefsWidget);
+            page.add(group);
+            window.add(page);
+
+            window.add(buildBehaviorPage(settings));
+            window.add(buildHotkeysPage(settings));
+            const layoutPage = buildLayoutPage(window, settings);
+            window.add(layoutPage);
+            window.add(buildRestorePage(window));
+
+            // Icon copies left behind by a window that didn't close cleanly
+            clearUndoHistory();
+            setupUndoShortcuts(window);
+
+            if (categoriesReadOnly)
+                showCategoriesReadOnly(window, [page, layoutPage]);
+            else if (categoriesLoadErrors.length > 0)
+                showCategoriesLoadErrors(window);
         });
     }
 }
@@ -0,0 +1,155 @@
+// rules.js — GNOME 45+/48, ES Modules
+// Rule-based smart categories. Shared by extension.js and prefs.js, so it
+// must only depend on Gio/GLib.
+
+import GLib from 'gi://GLib';
+
+// -------- Constants --------
+
+/**
+ * Fields a rule condition can test, with a label and pattern hint for prefs.
+ */
+export const RULE_FIELDS = [
+    { id: 'id', label: 'Desktop ID', hint: 'Glob, e.g. org.gnome.*' },
+    { id: 'name', label: 'Name', hint: 'Regular expression, e.g. ^Visual' },
+    { id: 'categories', label: 'Category', hint: 'Categories= entry, e.g. Game' },
+    { id: 'keywords', label: 'Keyword', hint: 'Text contained in a keyword' },
+    { id: 'flatpak', label: 'Flatpak origin', hint: 'Remote glob, e.g. flathub or *' },
+];
+
+const FLATPAK_DEPLOY_TYPE = '(ssasta{sv})';
+
+// -------- Flatpak --------
+
+let flatpakOrigins = new Map();
+
+/**
+ * Reads the remote a Flatpak app was installed from.
+ * @param {Gio.DesktopAppInfo} appInfo - Application info object
+ * @returns {string|null} Origin remote, '' if unknown, or null for non-Flatpak apps
+ */
+function getFlatpakOrigin(appInfo) {
+    const flatpakId = appInfo.get_string?.('X-Flatpak');
+    if (!flatpakId)
+        return null;
+
+    if (flatpakOrigins.has(flatpakId))
+        return flatpakOrigins.get(flatpakId);
+
+    let origin = '';
+    try {
+        // Exported desktop files live in <installation>/exports/share/applications
+        const filename = appInfo.get_filename() ?? '';
+        const exportsIndex = filename.indexOf('/exports/');
+
+        if (exportsIndex >= 0) {
+            const deployPath = GLib.build_filenamev([
+                filename.slice(0, exportsIndex),
+                'app',
+                flatpakId,
+                'current',
+                'active',
+                'deploy',
+            ]);
+            const [, contents] = GLib.file_get_contents(deployPath);
+            const deployData = GLib.Variant.new_from_bytes(
+                new GLib.VariantType(FLATPAK_DEPLOY_TYPE),
+                new GLib.Bytes(contents),
+                false
+            );
+            origin = deployData.get_child_value(0).unpack();
+        }
+    } catch (e) {
+        // Unreadable deploy data - the app still counts as a Flatpak
+    }
+
+    flatpakOrigins.set(flatpakId, origin);
+    return origin;
+}
+
+/**
+ * Drops cached Flatpak origins, e.g. after the installed apps changed.
+ */
+export function clearRulesCache() {
+    flatpakOrigins = new Map();
+}
+
+// -------- Evaluation --------
+
+/**
+ * Tests a single condition against an application.
+ * @param {Gio.DesktopAppInfo} appInfo - Application info object
+ * @param {Object} condition - Condition with field and pattern
+ * @returns {boolean} True if the condition matches
+ */
+function matchesCondition(appInfo, { field, pattern }) {
+    const value = (pattern ?? '').trim();
+    if (value.length === 0)
+        return false;
+
+    switch (field) {
+    case 'id': {
+        const desktopId = appInfo.get_id() ?? '';
+        return GLib.pattern_match_simple(value, desktopId) ||
+            GLib.pattern_match_simple(value, desktopId.replace(/\.desktop$/, ''));
+    }
+    case 'name':
+        try {
+            return new RegExp(value, 'i').test(appInfo.get_display_name());
+        } catch (e) {
+            return false;
+        }
+    case 'categories':
+        return (appInfo.get_categories?.() ?? '')
+            .split(';')
+            .some(category => category.toLowerCase() === value.toLowerCase());
+    case 'keywords':
+        return (appInfo.get_keywords?.() ?? [])
+            .some(keyword => keyword.toLowerCase().includes(value.toLowerCase()));
+    case 'flatpak': {
+        const origin = getFlatpakOrigin(appInfo);
+        return origin !== null && GLib.pattern_match_simple(value, origin);
+    }
+    default:
+        return false;
+    }
+}
+
+/**
+ * Tells whether a category has rules with at least one condition.
+ * @param {Object} category - Category object
+ * @returns {boolean} True for smart categories
+ */
+export function hasRules(category) {
+    return (category?.rules?.conditions?.length ?? 0) > 0;
+}
+
+/**
+ * Finds the applications matching a category's rules.
+ * @param {Object} rules - Rules with match ('all' or 'any') and conditions
+ * @param {Gio.AppInfo[]} appInfos - Applications to test
+ * @returns {Gio.AppInfo[]} Shown, deduplicated matching applications sorted by name
+ */
+export function evaluateRules(rules, appInfos) {
+    const conditions = rules?.conditions ?? [];
+    if (conditions.length === 0)
+        return [];
+
+    const seenIds = new Set();
+
+    return appInfos
+        .filter(appInfo => {
+            const appId = appInfo.get_id?.() ?? '';
+            if (!appId || seenIds.has(appId) || !appInfo.should_show())
+                return false;
+
+            const matches = rules.match === 'any'
+                ? conditions.some(condition => matchesCondition(appInfo, condition))
+                : conditions.every(condition => matchesCondition(appInfo, condition));
+
+            if (matches)
+                seenIds.add(appId);
+            return matches;
+        })
+        .sort((a, b) => a.get_display_name().localeCompare(b.get_display_name()));
+}
@@ -0,0 +1,372 @@
+// search.js — GNOME 45+/48, ES Modules
+// Scored fuzzy matching of applications against the popup search query.
+
+import GLib from 'gi://GLib';
+
+// -------- Constants --------
+
+// Score tiers, so a better kind of match always outranks a worse one
+const EXACT_SCORE = 1000;
+const PREFIX_SCORE = 800;
+const WORD_PREFIX_SCORE = 650;
+const ACRONYM_SCORE = 600;
+const SUBSTRING_SCORE = 500;
+const FUZZY_MAX_SCORE = 400;
+
+// Fuzzy bonuses and penalties, per query character
+const MATCH_BONUS = 1;
+const WORD_START_BONUS = 8;
+const CONSECUTIVE_BONUS = 5;
+const GAP_PENALTY = 1;
+const MIN_FUZZY_SCORE_PER_CHAR = 3;
+
+// Relative weight of each searchable field
+const FIELD_WEIGHTS = {
+    name: 1.0,
+    genericName: 0.8,
+    keywords: 0.75,
+    executable: 0.7,
+    id: 0.6,
+};
+
+const SEPARATOR_REGEX = /[\s\-_.]/;
+
+// Frecency: weight of a launch by its age in days
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FRECENCY_BUCKETS = [
+    { maxAgeDays: 4, weight: 100 },
+    { maxAgeDays: 14, weight: 70 },
+    { maxAgeDays: 31, weight: 50 },
+    { maxAgeDays: 90, weight: 30 },
+    { maxAgeDays: Infinity, weight: 10 },
+];
+const MAX_FRECENCY_BOOST = 1000;
+
+// -------- Field Extraction --------
+
+let fieldsCache = new WeakMap();
+
+/**
+ * Collects the searchable text of an application.
+ * @param {Gio.AppInfo} appInfo - Application to index
+ * @returns {Object} Field name to array of strings
+ */
+function getSearchFields(appInfo) {
+    if (fieldsCache.has(appInfo))
+        return fieldsCache.get(appInfo);
+
+    const executable = appInfo.get_executable?.() ?? '';
+    const desktopId = (appInfo.get_id?.() ?? '').replace(/\.desktop$/, '');
+
+    const fields = {
+        name: [appInfo.get_display_name() ?? ''],
+        genericName: [appInfo.get_generic_name?.() ?? ''],
+        keywords: appInfo.get_keywords?.() ?? [],
+        executable: [executable ? GLib.path_get_basename(executable) : ''],
+        // Reverse-DNS ids match on their last component, e.g. org.gnome.Nautilus
+        id: [desktopId, desktopId.split('.').pop()],
+    };
+
+    Object.keys(fields).forEach(key => {
+        fields[key] = fields[key].filter(text => text && text.length > 0);
+    });
+
+    fieldsCache.set(appInfo, fields);
+    return fields;
+}
+
+/**
+ * Drops cached search fields, e.g. after the installed apps changed.
+ */
+export function clearSearchCache() {
+    fieldsCache = new WeakMap();
+}
+
+// -------- Matching --------
+
+/**
+ * Tells whether the character at an index starts a word.
+ * @param {string} text - Original (case preserved) text
+ * @param {number} index - Character index
+ * @returns {boolean} True for the first character, after separators and at camelCase humps
+ */
+function isWordStart(text, index) {
+    if (index === 0)
+        return true;
+
+    const prev = text[index - 1];
+    const current = text[index];
+
+    if (SEPARATOR_REGEX.test(prev))
+        return !SEPARATOR_REGEX.test(current);
+
+    return prev === prev.toLowerCase() && current !== current.toLowerCase();
+}
+
+/**
+ * Returns the indices of every word start in a text.
+ * @param {string} text - Text to split
+ * @returns {number[]} Word start indices
+ */
+function getWordStarts(text) {
+    const starts = [];
+    for (let i = 0; i < text.length; i++) {
+        if (isWordStart(text, i))
+            starts.push(i);
+    }
+    return starts;
+}
+
+/**
+ * Builds a range of consecutive indices.
+ * @param {number} start - First index
+ * @param {number} length - Number of indices
+ * @returns {number[]} Indices
+ */
+function range(start, length) {
+    return Array.from({ length }, (_, i) => start + i);
+}
+
+/**
+ * Matches a query against the initials of the words in a text
+ * ("gimp" → GNU Image Manipulation Program, "lo" → LibreOffice).
+ * @param {string} text - Original text
+ * @param {string} query - Lowercase query
+ * @returns {number[]|null} Matched positions, or null
+ */
+function matchAcronym(text, query) {
+    const starts = getWordStarts(text);
+    if (query.length < 2 || starts.length < query.length)
+        return null;
+
+    const initials = starts.map(i => text[i].toLowerCase()).join('');
+    if (!initials.startsWith(query))
+        return null;
+
+    return starts.slice(0, query.length);
+}
+
+/**
+ * Scores a subsequence match of a query in a text with dynamic programming,
+ * rewarding word starts and consecutive characters.
+ * @param {string} text - Original text
+ * @param {string} query - Lowercase query
+ * @returns {{score: number, positions: number[]}|null} Best match, or null
+ */
+function matchFuzzy(text, query) {
+    const lowerText = text.toLowerCase();
+    const n = lowerText.length;
+    const m = query.length;
+
+    if (m === 0 || m > n)
+        return null;
+
+    const charBonus = range(0, n).map(j =>
+        MATCH_BONUS + (isWordStart(text, j) ? WORD_START_BONUS : 0)
+    );
+
+    // scores[i][j]: best score with query[i] matched at text[j]
+    const scores = [];
+    const previous = [];
+
+    for (let i = 0; i < m; i++) {
+        scores.push(new Array(n).fill(-Infinity));
+        previous.push(new Array(n).fill(-1));
+
+        // Best score[i - 1][k] + GAP_PENALTY * k over k < j - 1
+        let runningBest = -Infinity;
+        let runningIndex = -1;
+
+        for (let j = i; j < n; j++) {
+            if (i > 0 && j >= 2) {
+                const candidate = scores[i - 1][j - 2] + GAP_PENALTY * (j - 2);
+                if (candidate > runningBest) {
+                    runningBest = candidate;
+                    runningIndex = j - 2;
+                }
+            }
+
+            if (lowerText[j] !== query[i])
+                continue;
+
+            if (i === 0) {
+                scores[i][j] = charBonus[j];
+                continue;
+            }
+
+            const consecutive = scores[i - 1][j - 1] + charBonus[j] + CONSECUTIVE_BONUS;
+            const gapped = runningBest - GAP_PENALTY * (j - 1) + charBonus[j];
+
+            if (consecutive >= gapped) {
+                scores[i][j] = consecutive;
+                previous[i][j] = j - 1;
+            } else {
+                scores[i][j] = gapped;
+                previous[i][j] = runningIndex;
+            }
+        }
+    }
+
+    let bestIndex = -1;
+    for (let j = 0; j < n; j++) {
+        if (bestIndex < 0 || scores[m - 1][j] > scores[m - 1][bestIndex])
+            bestIndex = j;
+    }
+
+    const score = scores[m - 1][bestIndex];
+    if (!Number.isFinite(score) || score < m * MIN_FUZZY_SCORE_PER_CHAR)
+        return null;
+
+    const positions = [];
+    for (let i = m - 1, j = bestIndex; i >= 0; j = previous[i][j], i--)
+        positions.unshift(j);
+
+    return { score, positions };
+}
+
+/**
+ * Scores a single query term against a single text.
+ * @param {string} text - Original text
+ * @param {string} term - Lowercase query term
+ * @returns {{score: number, positions: number[]}|null} Match, or null
+ */
+function matchText(text, term) {
+    const lowerText = text.toLowerCase();
+
+    if (lowerText === term)
+        return { score: EXACT_SCORE, positions: range(0, term.length) };
+
+    if (lowerText.startsWith(term))
+        return { score: PREFIX_SCORE - (text.length - term.length), positions: range(0, term.length) };
+
+    const wordStart = getWordStarts(text).find(i => lowerText.startsWith(term, i));
+    if (wordStart !== undefined)
+        return { score: WORD_PREFIX_SCORE - wordStart, positions: range(wordStart, term.length) };
+
+    const acronym = matchAcronym(text, term);
+    if (acronym)
+        return { score: ACRONYM_SCORE, positions: acronym };
+
+    const index = lowerText.indexOf(term);
+    if (index >= 0)
+        return { score: SUBSTRING_SCORE - index, positions: range(index, term.length) };
+
+    const fuzzy = matchFuzzy(text, term);
+    if (fuzzy) {
+        return {
+            score: Math.min(FUZZY_MAX_SCORE, fuzzy.score * 10),
+            positions: fuzzy.positions,
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Scores an application against a search query. Every whitespace separated
+ * term must match at least one field.
+ * @param {Gio.AppInfo} appInfo - Application to score
+ * @param {string} query - Search query
+ * @returns {{score: number, namePositions: number[]}|null} Match, or null if it doesn't match
+ */
+export function scoreApp(appInfo, query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(term => term.length > 0);
+    if (terms.length === 0)
+        return null;
+
+    const fields = getSearchFields(appInfo);
+    const namePositions = new Set();
+    let totalScore = 0;
+
+    for (const term of terms) {
+        let bestScore = 0;
+
+        for (const [field, texts] of Object.entries(fields)) {
+            for (const text of texts) {
+                const match = matchText(text, term);
+                if (!match)
+                    continue;
+
+                const weighted = match.score * FIELD_WEIGHTS[field];
+                if (weighted > bestScore)
+                    bestScore = weighted;
+
+                if (field === 'name')
+                    match.positions.forEach(position => namePositions.add(position));
+            }
+        }
+
+        if (bestScore === 0)
+            return null;
+
+        totalScore += bestScore;
+    }
+
+    return {
+        score: totalScore / terms.length,
+        namePositions: Array.from(namePositions).sort((a, b) => a - b),
+    };
+}
+
+// -------- Frecency --------
+
+/**
+ * Computes the frecency of an app from its launch statistics: recent
+ * launches are sampled and weighted by age, then scaled by the total count.
+ * @param {Object} stats - Launch statistics with count and launches (timestamps)
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Frecency, 0 for apps never launched
+ */
+export function getFrecency(stats, now = Date.now()) {
+    if (!stats || !stats.count || !stats.launches?.length)
+        return 0;
+
+    const totalWeight = stats.launches.reduce((sum, ts) => {
+        const ageDays = (now - ts) / DAY_MS;
+        return sum + FRECENCY_BUCKETS.find(bucket => ageDays < bucket.maxAgeDays).weight;
+    }, 0);
+
+    return stats.count * totalWeight / stats.launches.length;
+}
+
+/**
+ * Converts a frecency into a boost added to a match score. The boost grows
+ * logarithmically so heavily used apps don't drown out better matches.
+ * @param {number} frecency - Frecency of the app
+ * @param {number} maxFrecency - Highest frecency of all apps
+ * @param {number} weight - Blend weight between 0 (ignore history) and 1
+ * @returns {number} Score boost
+ */
+export function getFrecencyBoost(frecency, maxFrecency, weight) {
+    if (frecency <= 0 || maxFrecency <= 0)
+        return 0;
+
+    return MAX_FRECENCY_BOOST * weight * Math.log1p(frecency) / Math.log1p(maxFrecency);
+}
+
+// -------- Highlighting --------
+
+/**
+ * Builds Pango markup with the matched characters of a text in bold.
+ * @param {string} text - Text to highlight
+ * @param {number[]} positions - Sorted indices of matched characters
+ * @returns {string} Pango markup
+ */
+export function highlightMatches(text, positions) {
+    const matched = new Set(positions);
+    let markup = '';
+    let inMatch = false;
+
+    for (let i = 0; i < text.length; i++) {
+        if (matched.has(i) !== inMatch) {
+            markup += inMatch ? '</b>' : '<b>';
+            inMatch = !inMatch;
+        }
+        markup += GLib.markup_escape_text(text[i], -1);
+    }
+
+    if (inMatch)
+        markup += '</b>';
+
+    return markup;
+}
@@ -0,0 +1,140 @@
+// provider.js — stand-in search provider for testing, run with `gjs -m provider.js`
+// Answers the org.gnome.Shell.SearchProvider2 calls of the shell with a
+// fixed list of results and logs each call, so the grouping, the typing
+// delay and the cancellation of provider searches can be checked.
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+// -------- Constants --------
+const BUS_NAME = 'io.github.slim8916.StartMenuTestProvider';
+const OBJECT_PATH = '/io/github/slim8916/StartMenuTestProvider';
+
+// Queries containing this term are answered late, to test cancellation
+const SLOW_TERM = 'slow';
+const SLOW_REPLY_MS = 2000;
+
+const RESULTS = [
+    'Apple', 'Apricot', 'Banana', 'Blueberry', 'Cherry', 'Grape',
+    'Lemon', 'Mango', 'Orange', 'Peach', 'Pear', 'Plum',
+];
+
+const SEARCH_PROVIDER_IFACE = `
+<node>
+  <interface name="org.gnome.Shell.SearchProvider2">
+    <method name="GetInitialResultSet">
+      <arg type="as" name="terms" direction="in"/>
+      <arg type="as" name="results" direction="out"/>
+    </method>
+    <method name="GetSubsearchResultSet">
+      <arg type="as" name="previous_results" direction="in"/>
+      <arg type="as" name="terms" direction="in"/>
+      <arg type="as" name="results" direction="out"/>
+    </method>
+    <method name="GetResultMetas">
+      <arg type="as" name="identifiers" direction="in"/>
+      <arg type="aa{sv}" name="metas" direction="out"/>
+    </method>
+    <method name="ActivateResult">
+      <arg type="s" name="identifier" direction="in"/>
+      <arg type="as" name="terms" direction="in"/>
+      <arg type="u" name="timestamp" direction="in"/>
+    </method>
+    <method name="LaunchSearch">
+      <arg type="as" name="terms" direction="in"/>
+      <arg type="u" name="timestamp" direction="in"/>
+    </method>
+  </interface>
+</node>`;
+
+// -------- Search --------
+
+/**
+ * Prints a call with the time it was received.
+ * @param {string} message - Call description
+ */
+function logCall(message) {
+    print(`${GLib.DateTime.new_now_local().format('%T.%f').slice(0, 12)} ${message}`);
+}
+
+/**
+ * Lists the results matching every search term.
+ * @param {string[]} terms - Search terms
+ * @param {string[]} candidates - Result IDs to filter
+ * @returns {string[]} Matching result IDs
+ */
+function matchResults(terms, candidates = RESULTS) {
+    const words = terms
+        .map(term => term.toLowerCase())
+        .filter(term => term !== SLOW_TERM);
+
+    return candidates.filter(id => words.every(word => id.toLowerCase().includes(word)));
+}
+
+/**
+ * Returns the results to the caller, late if the query asks for it.
+ * @param {string[]} terms - Search terms
+ * @param {string[]} results - Result IDs
+ * @param {Gio.DBusMethodInvocation} invocation - Pending call
+ */
+function replyResults(terms, results, invocation) {
+    const reply = () => {
+        logCall(`  -> ${results.length} results for [${terms.join(', ')}]`);
+        invocation.return_value(new GLib.Variant('(as)', [results]));
+        return GLib.SOURCE_REMOVE;
+    };
+
+    if (terms.includes(SLOW_TERM))
+        GLib.timeout_add(GLib.PRIORITY_DEFAULT, SLOW_REPLY_MS, reply);
+    else
+        reply();
+}
+
+const provider = {
+    GetInitialResultSetAsync([terms], invocation) {
+        logCall(`GetInitialResultSet [${terms.join(', ')}]`);
+        replyResults(terms, matchResults(terms), invocation);
+    },
+
+    GetSubsearchResultSetAsync([previousResults, terms], invocation) {
+        logCall(`GetSubsearchResultSet [${terms.join(', ')}]`);
+        replyResults(terms, matchResults(terms, previousResults), invocation);
+    },
+
+    GetResultMetas(ids) {
+        logCall(`GetResultMetas [${ids.join(', ')}]`);
+        return ids.map(id => ({
+            id: new GLib.Variant('s', id),
+            name: new GLib.Variant('s', id),
+            description: new GLib.Variant('s', `Test result “${id}”`),
+            gicon: new GLib.Variant('s', 'emblem-favorite-symbolic'),
+        }));
+    },
+
+    ActivateResult(id, terms) {
+        logCall(`ActivateResult ${id} [${terms.join(', ')}]`);
+    },
+
+    LaunchSearch(terms) {
+        logCall(`LaunchSearch [${terms.join(', ')}]`);
+    },
+};
+
+// -------- Entry Point --------
+
+const loop = new GLib.MainLoop(null, false);
+const exported = Gio.DBusExportedObject.wrapJSObject(SEARCH_PROVIDER_IFACE, provider);
+
+Gio.bus_own_name(
+    Gio.BusType.SESSION,
+    BUS_NAME,
+    Gio.BusNameOwnerFlags.NONE,
+    connection => exported.export(connection, OBJECT_PATH),
+    () => print(`Providing ${BUS_NAME}, stop with Ctrl+C`),
+    () => {
+        printerr(`Could not own ${BUS_NAME}`);
+        loop.quit();
+    }
+);
+
+loop.run();
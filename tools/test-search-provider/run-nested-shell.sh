@@ -0,0 +1,9 @@
+#!/bin/sh
+# Starts a nested GNOME Shell on its own session bus with the stand-in search
+# provider registered and running. Its calls are printed to this terminal.
+
+cd "$(dirname "$0")" || exit 1
+
+export XDG_DATA_DIRS="$PWD/share:${XDG_DATA_DIRS:-/usr/local/share:/usr/share}"
+
+exec dbus-run-session -- sh -c 'gjs -m provider.js & exec gnome-shell --nested --wayland'
@@ -0,0 +1,273 @@
+// userData.js — GNOME 45+/48, ES Modules
+// Shared by extension.js and prefs.js, so it must only depend on Gio/GLib.
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+// -------- Constants --------
+export const ALLOWED_IMAGE_EXTENSIONS = ['jpeg', 'jpg', 'png', 'bmp', 'webp', 'ico', 'svg'];
+
+const DATA_DIR_NAME = 'start_menu';
+const LEGACY_DATA_FILES = ['categories.jsonl', 'recents.jsonl'];
+const ICON_SUBDIRS = ['categories', 'apps'];
+
+// Default icons shipped in files/icons/categories, next to the custom icons of
+// older versions. Copying them would shadow later updates of the bundled ones.
+const BUNDLED_CATEGORY_ICONS = ['All apps.svg', 'Search app.svg', 'Most used.svg', 'Favorites.svg'];
+
+// Backups of categories.jsonl: at most one per interval, the oldest are deleted
+const MAX_CATEGORIES_BACKUPS = 15;
+const BACKUP_INTERVAL_SECONDS = 60;
+const BACKUP_PREFIX = 'categories-';
+const BACKUP_SUFFIX = '.jsonl';
+
+// -------- Paths --------
+
+/**
+ * Returns the directory holding user data ($XDG_DATA_HOME/start_menu).
+ * @returns {string} Absolute directory path
+ */
+export function getUserDataDir() {
+    return GLib.build_filenamev([GLib.get_user_data_dir(), DATA_DIR_NAME]);
+}
+
+/**
+ * Builds every path used for user data and bundled resources.
+ * @param {string} extensionPath - Extension install directory
+ * @returns {Object} Paths keyed by purpose
+ */
+export function getDataPaths(extensionPath) {
+    const dataDir = getUserDataDir();
+    const bundledIconDir = GLib.build_filenamev([extensionPath, 'files', 'icons']);
+    const userIconDir = GLib.build_filenamev([dataDir, 'icons']);
+
+    return {
+        dataDir,
+        categoriesFilePath: GLib.build_filenamev([dataDir, 'categories.jsonl']),
+        backupsDir: GLib.build_filenamev([dataDir, 'backups']),
+        undoDir: GLib.build_filenamev([dataDir, 'undo']),
+        recentsFilePath: GLib.build_filenamev([dataDir, 'recents.jsonl']),
+        launchStatsFilePath: GLib.build_filenamev([dataDir, 'launches.jsonl']),
+        commandHistoryFilePath: GLib.build_filenamev([dataDir, 'commands.jsonl']),
+        iconDir: bundledIconDir,
+        bundledIconCategoriesDir: GLib.build_filenamev([bundledIconDir, 'categories']),
+        iconCategoriesDir: GLib.build_filenamev([userIconDir, 'categories']),
+        iconAppsDir: GLib.build_filenamev([userIconDir, 'apps']),
+        pathCategoryGenericIcon: GLib.build_filenamev([bundledIconDir, 'category_icon.png']),
+    };
+}
+
+// -------- Reading --------
+
+/**
+ * Parses a JSON Lines file. Lines that aren't valid JSON, such as a line cut
+ * short by a crash while appending, are skipped so the rest is kept.
+ * @param {string} text - File contents
+ * @returns {*[]} Parsed values of the valid lines
+ */
+export function parseJsonLines(text) {
+    return text.split('\n')
+        .filter(line => line.trim().length > 0)
+        .flatMap(line => {
+            try {
+                return [JSON.parse(line)];
+            } catch (e) {
+                return [];
+            }
+        });
+}
+
+// -------- Saving --------
+
+/**
+ * Writes a file atomically. GLib writes the contents to a temporary file in
+ * the same directory, syncs it to disk and renames it over the destination,
+ * so a crash never leaves a truncated file behind.
+ * @param {string} filePath - Destination file
+ * @param {string} contents - File contents
+ */
+export function writeFileAtomically(filePath, contents) {
+    GLib.mkdir_with_parents(GLib.path_get_dirname(filePath), 0o755);
+    GLib.file_set_contents(filePath, contents);
+}
+
+// -------- Backups --------
+
+/**
+ * Lists the backups of categories.jsonl, newest first.
+ * @param {string} backupsDir - Backup directory from getDataPaths()
+ * @returns {{path: string, date: GLib.DateTime}[]} Backups
+ */
+export function listCategoriesBackups(backupsDir) {
+    return listFileNames(backupsDir)
+        .filter(name => name.startsWith(BACKUP_PREFIX) && name.endsWith(BACKUP_SUFFIX))
+        .sort()
+        .reverse()
+        .map(name => {
+            // The name holds the backup time; copies keep the original mtime
+            const [, year, month, day, hour, minute, second] =
+                name.match(/(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})/) ?? [];
+            const date = year
+                ? GLib.DateTime.new_local(+year, +month, +day, +hour, +minute, +second)
+                : null;
+
+            return { path: GLib.build_filenamev([backupsDir, name]), date };
+        })
+        .filter(backup => backup.date !== null);
+}
+
+/**
+ * Tells whether two files hold the same bytes.
+ * @param {string} pathA - First file
+ * @param {string} pathB - Second file
+ * @returns {boolean} True if both contents are equal
+ */
+function hasSameContents(pathA, pathB) {
+    const [, contentsA] = GLib.file_get_contents(pathA);
+    const [, contentsB] = GLib.file_get_contents(pathB);
+
+    return contentsA.length === contentsB.length &&
+        contentsA.every((byte, index) => byte === contentsB[index]);
+}
+
+/**
+ * Copies categories.jsonl into the backup directory under a timestamped
+ * name, then deletes the oldest backups beyond the limit. Unless forced,
+ * nothing is done if the newest backup is less than a minute old, so a
+ * burst of saves keeps a single backup of the state before it. Forced
+ * backups are skipped when the newest backup already holds the same
+ * contents, so they don't push older backups out.
+ * @param {Object} paths - categoriesFilePath and backupsDir from getDataPaths()
+ * @param {boolean} force - Back up even if the newest backup is recent
+ */
+export function backupCategoriesFile({ categoriesFilePath, backupsDir }, force = false) {
+    if (!GLib.file_test(categoriesFilePath, GLib.FileTest.IS_REGULAR))
+        return;
+
+    try {
+        const now = GLib.DateTime.new_now_local();
+        const backups = listCategoriesBackups(backupsDir);
+
+        if (!force && backups.length > 0 &&
+            now.difference(backups[0].date) < BACKUP_INTERVAL_SECONDS * GLib.TIME_SPAN_SECOND)
+            return;
+
+        if (force && backups.length > 0 && hasSameContents(categoriesFilePath, backups[0].path))
+            return;
+
+        GLib.mkdir_with_parents(backupsDir, 0o755);
+
+        const backupName = `${BACKUP_PREFIX}${now.format('%Y%m%d-%H%M%S')}${BACKUP_SUFFIX}`;
+        Gio.File.new_for_path(categoriesFilePath).copy(
+            Gio.File.new_for_path(GLib.build_filenamev([backupsDir, backupName])),
+            Gio.FileCopyFlags.OVERWRITE,
+            null,
+            null
+        );
+
+        listCategoriesBackups(backupsDir)
+            .slice(MAX_CATEGORIES_BACKUPS)
+            .forEach(backup => Gio.File.new_for_path(backup.path).delete(null));
+    } catch (e) {
+        logError(e, 'Failed to back up categories.jsonl');
+    }
+}
+
+// -------- Migration --------
+
+/**
+ * Copies a file unless the destination already exists.
+ * @param {string} srcPath - Source file path
+ * @param {string} dstPath - Destination file path
+ */
+function copyIfMissing(srcPath, dstPath) {
+    if (!GLib.file_test(srcPath, GLib.FileTest.IS_REGULAR) ||
+        GLib.file_test(dstPath, GLib.FileTest.EXISTS))
+        return;
+
+    Gio.File.new_for_path(srcPath).copy(
+        Gio.File.new_for_path(dstPath),
+        Gio.FileCopyFlags.NONE,
+        null,
+        null
+    );
+}
+
+/**
+ * Lists the file names inside a directory.
+ * @param {string} dirPath - Directory to scan
+ * @returns {string[]} File names, empty if the directory is missing
+ */
+function listFileNames(dirPath) {
+    const names = [];
+
+    try {
+        const enumerator = Gio.File.new_for_path(dirPath).enumerate_children(
+            'standard::name',
+            Gio.FileQueryInfoFlags.NONE,
+            null
+        );
+
+        let fileInfo;
+        while ((fileInfo = enumerator.next_file(null)) !== null)
+            names.push(fileInfo.get_name());
+
+        enumerator.close(null);
+    } catch (e) {
+        // Missing directory - nothing to list
+    }
+
+    return names;
+}
+
+/**
+ * Copies user data written by older versions into the extension's own
+ * files/ directory over to the user data directory.
+ * @param {string} legacyDir - Old files/ directory inside the extension
+ * @param {string} dataDir - New user data directory
+ */
+function migrateLegacyData(legacyDir, dataDir) {
+    LEGACY_DATA_FILES.forEach(fileName => {
+        copyIfMissing(
+            GLib.build_filenamev([legacyDir, fileName]),
+            GLib.build_filenamev([dataDir, fileName])
+        );
+    });
+
+    ICON_SUBDIRS.forEach(subdir => {
+        const legacyIconDir = GLib.build_filenamev([legacyDir, 'icons', subdir]);
+        const userIconDir = GLib.build_filenamev([dataDir, 'icons', subdir]);
+
+        GLib.mkdir_with_parents(userIconDir, 0o755);
+
+        listFileNames(legacyIconDir).forEach(fileName => {
+            if (subdir === 'categories' && BUNDLED_CATEGORY_ICONS.includes(fileName))
+                return;
+
+            copyIfMissing(
+                GLib.build_filenamev([legacyIconDir, fileName]),
+                GLib.build_filenamev([userIconDir, fileName])
+            );
+        });
+    });
+}
+
+/**
+ * Creates the user data directory, migrating data from the extension's
+ * files/ directory the first time it is created.
+ * @param {string} extensionPath - Extension install directory
+ */
+export function ensureUserDataDir(extensionPath) {
+    const dataDir = getUserDataDir();
+
+    if (GLib.file_test(dataDir, GLib.FileTest.IS_DIR))
+        return;
+
+    GLib.mkdir_with_parents(dataDir, 0o755);
+
+    try {
+        migrateLegacyData(GLib.build_filenamev([extensionPath, 'files']), dataDir);
+    } catch (e) {
+        logError(e, 'Failed to migrate start menu data');
+    }
+}